@@ -0,0 +1,30 @@
+// Copy each thread author's role onto threads created before Thread stored
+// it. Run once after upgrading.
+// Usage: npm run threads:backfill-author-roles
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Thread = require('../src/models/Thread');
+
+const run = async () => {
+  await connectDB();
+
+  const missing = await Thread.countDocuments({ authorRole: { $exists: false } });
+
+  await Thread.aggregate([
+    { $match: { authorRole: { $exists: false } } },
+    { $lookup: { from: 'users', localField: 'createdBy', foreignField: '_id', as: 'author' } },
+    { $unwind: '$author' },
+    { $project: { authorRole: '$author.role' } },
+    { $merge: { into: Thread.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } },
+  ]);
+
+  console.log(`Backfilled author roles on ${missing} threads`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Author role backfill failed:', error.message);
+  process.exit(1);
+});
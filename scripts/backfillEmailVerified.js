@@ -0,0 +1,28 @@
+// Mark accounts created before email verification existed as verified, so
+// they keep posting and messaging. Those accounts were never sent a
+// verification token; Mongoose may already have saved `emailVerified: false`
+// on them as a default, so the token is what tells them apart.
+// Run once after upgrading.
+// Usage: npm run users:backfill-email-verified
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+
+const run = async () => {
+  await connectDB();
+
+  const result = await User.updateMany(
+    { emailVerified: { $ne: true }, emailVerificationToken: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Email verification backfill failed:', error.message);
+  process.exit(1);
+});
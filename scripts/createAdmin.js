@@ -0,0 +1,39 @@
+// Grant the admin staff role to an existing user. Use this to bootstrap the
+// first admin; later admins can be promoted through /api/admin.
+// Usage: npm run admin:create -- <username or email>
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+
+const run = async () => {
+  const login = process.argv[2];
+
+  if (!login) {
+    console.error('Usage: npm run admin:create -- <username or email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { $or: [{ username: login }, { email: login }] },
+    { staffRole: 'admin', isActive: true },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found for "${login}"`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  console.log(`${user.username} is now an admin`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Creating admin failed:', error.message);
+  process.exit(1);
+});
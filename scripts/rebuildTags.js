@@ -0,0 +1,22 @@
+// Normalise thread tags into the Tag collection and rebuild usage and
+// follower counts. Run once after upgrading, or whenever counts drift.
+// Usage: npm run tags:rebuild
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { rebuildTags } = require('../src/utils/tagService');
+
+const run = async () => {
+  await connectDB();
+
+  const count = await rebuildTags();
+
+  console.log(`Rebuilt ${count} tags`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Tag rebuild failed:', error.message);
+  process.exit(1);
+});
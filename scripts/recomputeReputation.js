@@ -0,0 +1,22 @@
+// Rebuild User.reputation from the reputation event log.
+// Usage: npm run reputation:recompute [-- <userId>]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { recompute } = require('../src/utils/reputationService');
+
+const run = async () => {
+  await connectDB();
+
+  const userId = process.argv[2];
+  const count = await recompute(userId);
+
+  console.log(`Recomputed reputation for ${userId ? 'user ' + userId : 'all users'} (${count} with events)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Reputation recompute failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Queue weekly digests for every user who is due one. The email worker
+// delivers them.
+// Usage: npm run digest:send
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const weeklyDigest = require('../src/jobs/weeklyDigest');
+
+const run = async () => {
+  await connectDB();
+
+  const queued = await weeklyDigest.run();
+
+  console.log(`Queued ${queued} weekly digest(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Weekly digest failed:', error.message);
+  process.exit(1);
+});
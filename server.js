@@ -11,6 +11,10 @@ const connectDB = require('./src/config/database');
 const routes = require('./src/routes');
 const errorHandler = require('./src/middleware/errorHandler');
 const { socketAuth } = require('./src/middleware/auth');
+const notificationService = require('./src/utils/notificationService');
+const emailWorker = require('./src/jobs/emailWorker');
+const weeklyDigest = require('./src/jobs/weeklyDigest');
+const reviewReveal = require('./src/jobs/reviewReveal');
 
 // Connect to database
 connectDB();
@@ -47,15 +51,27 @@ app.use('/uploads', express.static('public/uploads'));
 // Socket.io middleware
 io.use(socketAuth);
 
+// Personal and session rooms carry private payloads, so only the server
+// may put a socket in (or take it out of) them
+const isPrivateRoom = (roomId) => typeof roomId !== 'string' || /^(user|session)-/.test(roomId);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`User ${socket.userId} connected`);
+
+  // Personal room for direct messages and notifications
+  socket.join(`user-${socket.userId}`);
+
+  // Session room so revoking a session can disconnect it
+  socket.join(`session-${socket.sessionId}`);
   
   socket.on('join-room', (roomId) => {
+    if (isPrivateRoom(roomId)) return;
     socket.join(roomId);
   });
   
   socket.on('leave-room', (roomId) => {
+    if (isPrivateRoom(roomId)) return;
     socket.leave(roomId);
   });
   
@@ -78,6 +94,7 @@ io.on('connection', (socket) => {
 
 // Make io available to routes
 app.set('io', io);
+notificationService.setIO(io);
 
 // Routes
 app.use('/api', routes);
@@ -92,6 +109,11 @@ app.use(errorHandler);
 
 server.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Background jobs
+  emailWorker.start();
+  weeklyDigest.start();
+  reviewReveal.start();
 });
 
 module.exports = app;
\ No newline at end of file
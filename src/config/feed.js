@@ -0,0 +1,40 @@
+// Home feed ranking. Each item is scored as
+//
+//   score = (sum of reason weights + ln(1 + engagement)) / (ageHours + 2) ^ gravity
+//
+// where engagement is upvotes - downvotes (floored at 0) plus comments for
+// threads, and an item matched by several reasons adds up their weights.
+// Weights can be overridden with FEED_WEIGHT_<REASON>, e.g.
+// FEED_WEIGHT_FOLLOWED_USER=4.
+const defaultWeights = {
+  followed_user: 3,
+  followed_user_comment: 2,
+  followed_tag: 2,
+  skill_match: 2.5,
+  followed_category: 1,
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const weights = Object.keys(defaultWeights).reduce((acc, reason) => {
+  acc[reason] = envNumber(`FEED_WEIGHT_${reason.toUpperCase()}`, defaultWeights[reason]);
+  return acc;
+}, {});
+
+module.exports = {
+  weights,
+  // How quickly older items sink
+  gravity: envNumber('FEED_GRAVITY', 1.5),
+  // Only items from this many days are considered
+  windowDays: envNumber('FEED_WINDOW_DAYS', 30),
+  // Most candidates fetched from each source
+  candidateLimit: envNumber('FEED_CANDIDATE_LIMIT', 200),
+  // Comments from followed users need this many net upvotes (or to be an
+  // accepted answer) to be shown
+  notableCommentVotes: envNumber('FEED_NOTABLE_COMMENT_VOTES', 3),
+  // How long the ranking of a first page load is kept for later pages
+  snapshotTtlMinutes: envNumber('FEED_SNAPSHOT_TTL_MINUTES', 30),
+};
@@ -1,4 +1,5 @@
 module.exports = {
   database: require('./database'),
   jwt: require('./jwt'),
+  reputation: require('./reputation'),
 };
\ No newline at end of file
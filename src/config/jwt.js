@@ -1,16 +1,46 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+// Short-lived access token tied to a login session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
   });
 };
 
+// Verify an access token. Single-purpose tokens (e.g. unsubscribe links)
+// are never accepted as logins, even if signed with the same secret.
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose || decoded.aud) {
+    throw new Error('Not an access token');
+  }
+
+  return decoded;
+};
+
+const unsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+// Long-lived token for one-click newsletter unsubscribe links
+const generateUnsubscribeToken = (id) => {
+  return jwt.sign({ id, purpose: 'unsubscribe' }, unsubscribeSecret(), {
+    audience: 'unsubscribe',
+  });
+};
+
+const verifyUnsubscribeToken = (token) => {
+  const decoded = jwt.verify(token, unsubscribeSecret(), { audience: 'unsubscribe' });
+
+  if (decoded.purpose !== 'unsubscribe') {
+    throw new Error('Invalid unsubscribe token');
+  }
+
+  return decoded;
 };
 
 module.exports = {
   generateToken,
   verifyToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
 };
\ No newline at end of file
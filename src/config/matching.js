@@ -0,0 +1,45 @@
+// Freelancer/job matching. A match score is the weighted sum of components
+// that each range from 0 to 1:
+//
+//   skills     - share of the thread's tags found in the freelancer's skills
+//   reputation - ln(1 + reputation) / ln(1 + reputationScale), capped at 1
+//   rating     - average / 5, scaled by count / (count + ratingConfidence)
+//                so a single 5-star review does not beat a long record
+//   experience - completed contracts in the thread's category / experienceScale
+//   activity   - 1 for activity today, falling linearly to 0 at activityDays
+//
+// When recommending jobs to a freelancer, reputation and rating are the
+// freelancer's own and do not vary between jobs, so jobs are ranked on
+// skills, experience and freshness (a job posted today scores 1, falling to
+// 0 at threadWindowDays), with freshness using the activity weight.
+//
+// Weights can be overridden with MATCH_WEIGHT_<COMPONENT>.
+const defaultWeights = {
+  skills: 0.4,
+  reputation: 0.15,
+  rating: 0.2,
+  experience: 0.15,
+  activity: 0.1,
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const weights = Object.keys(defaultWeights).reduce((acc, component) => {
+  acc[component] = envNumber(`MATCH_WEIGHT_${component.toUpperCase()}`, defaultWeights[component]);
+  return acc;
+}, {});
+
+module.exports = {
+  weights,
+  reputationScale: envNumber('MATCH_REPUTATION_SCALE', 1000),
+  ratingConfidence: envNumber('MATCH_RATING_CONFIDENCE', 3),
+  experienceScale: envNumber('MATCH_EXPERIENCE_SCALE', 5),
+  activityDays: envNumber('MATCH_ACTIVITY_DAYS', 30),
+  // Most freelancers/threads scored per request
+  candidateLimit: envNumber('MATCH_CANDIDATE_LIMIT', 300),
+  // Only threads posted within this many days are recommended
+  threadWindowDays: envNumber('MATCH_THREAD_WINDOW_DAYS', 60),
+};
@@ -0,0 +1,31 @@
+// Points awarded for each reputation event. Any rule can be overridden with
+// an environment variable, e.g. REPUTATION_THREAD_UPVOTE=15.
+const defaultRules = {
+  thread_upvote: 10,
+  thread_downvote: -2,
+  comment_upvote: 5,
+  comment_downvote: -2,
+  answer_accepted: 15,
+  job_completed_freelancer: 25,
+  job_completed_client: 5,
+};
+
+// Event types whose points count towards the daily vote cap
+const voteEventTypes = ['thread_upvote', 'comment_upvote'];
+
+const envValue = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const rules = Object.keys(defaultRules).reduce((acc, type) => {
+  acc[type] = envValue(`REPUTATION_${type.toUpperCase()}`, defaultRules[type]);
+  return acc;
+}, {});
+
+module.exports = {
+  rules,
+  voteEventTypes,
+  // Most points a user can gain from votes in one UTC day
+  dailyVoteCap: envValue('REPUTATION_DAILY_VOTE_CAP', 200),
+};
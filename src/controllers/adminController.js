@@ -0,0 +1,232 @@
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Setting = require('../models/Setting');
+const Thread = require('../models/Thread');
+const asyncHandler = require('../utils/asyncHandler');
+const { revokeUserSessions } = require('../utils/sessionService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get all users (including suspended)
+// @route   GET /api/admin/users
+// @access  Private (Admin only)
+const getUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  const query = {};
+
+  if (req.query.role) {
+    query.role = req.query.role;
+  }
+
+  if (req.query.staffRole) {
+    query.staffRole = req.query.staffRole;
+  }
+
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  if (req.query.email) {
+    query.email = req.query.email.toLowerCase();
+  }
+
+  const users = await User.find(query)
+    .select('+staffRole +moderatorOf')
+    .populate('moderatorOf', 'name slug')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await User.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: users.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: users,
+  });
+});
+
+// @desc    Suspend/Reinstate user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (Admin only)
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own status',
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { isActive: req.body.isActive },
+    { new: true }
+  );
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  // Suspended users are logged out everywhere
+  if (!user.isActive) {
+    await revokeUserSessions(user._id, null, req.app.get('io'));
+  }
+
+  res.json({
+    success: true,
+    data: user,
+  });
+});
+
+// @desc    Change user roles and permissions
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (Admin only)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.params.id).select('+staffRole +moderatorOf');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const { role, staffRole, moderatorOf } = req.body;
+
+  // Keep at least one admin around
+  if (user._id.toString() === req.user.id && staffRole && staffRole !== 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot remove your own admin role',
+    });
+  }
+
+  if (moderatorOf) {
+    const categories = await Category.countDocuments({ _id: { $in: moderatorOf } });
+    if (categories !== moderatorOf.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+    user.moderatorOf = moderatorOf;
+  }
+
+  const roleChanged = role && role !== user.role;
+  if (role) user.role = role;
+  if (staffRole) user.staffRole = staffRole;
+
+  await user.save();
+
+  // Threads carry a copy of their author's role for filtering
+  if (roleChanged) {
+    await Thread.updateMany({ createdBy: user._id }, { authorRole: role });
+  }
+
+  const updatedUser = await User.findById(user._id)
+    .select('+staffRole +moderatorOf')
+    .populate('moderatorOf', 'name slug');
+
+  res.json({
+    success: true,
+    data: updatedUser,
+  });
+});
+
+// @desc    Get all categories (including inactive)
+// @route   GET /api/admin/categories
+// @access  Private (Admin only)
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find().sort({ name: 1 });
+
+  // Category moderators, grouped by category
+  const moderators = await User.find({ moderatorOf: { $exists: true, $ne: [] } })
+    .select('username name moderatorOf');
+
+  const data = categories.map(category => ({
+    ...category.toObject(),
+    moderators: moderators
+      .filter(user => user.moderatorOf.some(id => id.equals(category._id)))
+      .map(user => ({ _id: user._id, username: user.username, name: user.name })),
+  }));
+
+  res.json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Get site settings
+// @route   GET /api/admin/settings
+// @access  Private (Admin only)
+const getSettings = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await Setting.getAll(),
+  });
+});
+
+// @desc    Update site settings
+// @route   PUT /api/admin/settings
+// @access  Private (Admin only)
+const updateSettings = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const keys = Object.keys(Setting.defaults).filter(key => req.body[key] !== undefined);
+
+  for (const key of keys) {
+    await Setting.findOneAndUpdate(
+      { key },
+      { value: req.body[key], updatedBy: req.user.id },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  res.json({
+    success: true,
+    data: await Setting.getAll(),
+  });
+});
+
+module.exports = {
+  getUsers,
+  updateUserStatus,
+  updateUserRole,
+  getCategories,
+  getSettings,
+  updateSettings,
+};
@@ -1,7 +1,21 @@
 const User = require('../models/User');
-const { generateToken } = require('../config/jwt');
+const { verifyUnsubscribeToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
 const { validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
+const {
+  queueWelcomeEmail,
+  queueVerificationEmail,
+  queuePasswordResetEmail,
+} = require('../utils/emailService');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require('../utils/sessionService');
+const { syncEndorsementCounts } = require('../utils/endorsementService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -15,6 +29,13 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!(await Setting.getValue('registrationOpen'))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Registration is currently closed',
+    });
+  }
+
   const { username, email, password, name, role } = req.body;
 
   // Check if user exists
@@ -38,12 +59,20 @@ const register = asyncHandler(async (req, res) => {
     role,
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  await queueWelcomeEmail(user);
+
+  // Send email verification link
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await queueVerificationEmail(user, verificationToken);
+
+  // Start a session
+  const { token, refreshToken } = await createSession(user, req);
 
   res.status(201).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       username: user.username,
@@ -51,6 +80,7 @@ const register = asyncHandler(async (req, res) => {
       name: user.name,
       role: user.role,
       image: user.image,
+      emailVerified: user.emailVerified,
     },
   });
 });
@@ -72,7 +102,7 @@ const login = asyncHandler(async (req, res) => {
   // Check for user (by username or email)
   const user = await User.findOne({
     $or: [{ username }, { email: username }],
-  }).select('+password');
+  }).select('+password +staffRole');
 
   if (!user || !(await user.matchPassword(password))) {
     return res.status(401).json({
@@ -85,12 +115,13 @@ const login = asyncHandler(async (req, res) => {
   user.lastLogin = Date.now();
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start a session
+  const { token, refreshToken } = await createSession(user, req);
 
   res.json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       username: user.username,
@@ -99,6 +130,8 @@ const login = asyncHandler(async (req, res) => {
       role: user.role,
       image: user.image,
       bio: user.bio,
+      emailVerified: user.emailVerified,
+      staffRole: user.staffRole,
       notificationPrefs: user.notificationPrefs,
     },
   });
@@ -108,7 +141,7 @@ const login = asyncHandler(async (req, res) => {
 // @route   GET /api/auth/me
 // @access  Private
 const getMe = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id);
+  const user = await User.findById(req.user.id).select('+staffRole +moderatorOf');
 
   res.json({
     success: true,
@@ -123,6 +156,9 @@ const getMe = asyncHandler(async (req, res) => {
       skills: user.skills,
       location: user.location,
       website: user.website,
+      emailVerified: user.emailVerified,
+      staffRole: user.staffRole,
+      moderatorOf: user.moderatorOf,
       notificationPrefs: user.notificationPrefs,
       reputation: user.reputation,
       threadsFollowed: user.threadsFollowed,
@@ -158,6 +194,11 @@ const updateProfile = asyncHandler(async (req, res) => {
     }
   );
 
+  // Endorsements only count towards skills that are still listed
+  if (fieldsToUpdate.skills !== undefined) {
+    await syncEndorsementCounts(user);
+  }
+
   res.json({
     success: true,
     user: {
@@ -193,16 +234,292 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = req.body.newPassword;
   await user.save();
 
+  // Log out everywhere else
+  await revokeUserSessions(user._id, req.sessionId, req.app.get('io'));
+
   res.json({
     success: true,
     message: 'Password updated successfully',
   });
 });
 
+// @desc    Exchange refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const result = await rotateSession(req.body.refreshToken, req);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token',
+    });
+  }
+
+  res.json({
+    success: true,
+    token: result.token,
+    refreshToken: result.refreshToken,
+  });
+});
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, req.app.get('io'));
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully',
+  });
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  await revokeSession(session._id, req.app.get('io'));
+
+  res.json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Same response either way so accounts cannot be discovered
+  if (user && user.isActive) {
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+    await queuePasswordResetEmail(user, resetToken);
+  }
+
+  res.json({
+    success: true,
+    message: 'If that email is registered, a reset link has been sent',
+  });
+});
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(req.params.token),
+    resetPasswordExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset link is invalid or has expired',
+    });
+  }
+
+  // Tokens are single-use
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Whoever had the old password is logged out
+  await revokeUserSessions(user._id, null, req.app.get('io'));
+
+  res.json({
+    success: true,
+    message: 'Password has been reset',
+  });
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.params.token),
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified',
+    });
+  }
+
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await queueVerificationEmail(user, verificationToken);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
+// Decode an unsubscribe link token, sending the error response when it is
+// invalid. Returns null in that case.
+const decodeUnsubscribeToken = (req, res) => {
+  try {
+    return verifyUnsubscribeToken(req.params.token);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid unsubscribe link',
+    });
+    return null;
+  }
+};
+
+// @desc    Check an unsubscribe link before confirming. Changes nothing, so
+//          link scanners and prefetchers cannot unsubscribe anyone.
+// @route   GET /api/auth/unsubscribe/:token
+// @access  Public
+const getUnsubscribe = asyncHandler(async (req, res) => {
+  const decoded = decodeUnsubscribeToken(req, res);
+  if (!decoded) return;
+
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Confirm to unsubscribe from the newsletter',
+    data: {
+      newsletter: user.notificationPrefs.newsletter,
+    },
+  });
+});
+
+// @desc    Unsubscribe from the newsletter (confirmation page or one-click
+//          List-Unsubscribe-Post)
+// @route   POST /api/auth/unsubscribe/:token
+// @access  Public
+const unsubscribe = asyncHandler(async (req, res) => {
+  const decoded = decodeUnsubscribeToken(req, res);
+  if (!decoded) return;
+
+  const user = await User.findByIdAndUpdate(decoded.id, {
+    'notificationPrefs.newsletter': false,
+  });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'You have been unsubscribed from the newsletter',
+  });
+});
+
 module.exports = {
   register,
   login,
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getUnsubscribe,
+  unsubscribe,
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 const Category = require('../models/Category');
 const Thread = require('../models/Thread');
+const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
+const { parseThreadFilters } = require('../utils/threadFilters');
+const { paginate } = require('../utils/pagination');
 const { validationResult } = require('express-validator');
 
 // @desc    Get all categories
@@ -31,7 +34,7 @@ const getCategory = asyncHandler(async (req, res) => {
   }
 
   // Get recent threads in this category
-  const recentThreads = await Thread.find({ category: category._id })
+  const recentThreads = await Thread.find({ category: category._id, isHidden: { $ne: true } })
     .populate('createdBy', 'username name image role')
     .sort({ createdAt: -1 })
     .limit(10);
@@ -184,6 +187,14 @@ const deleteCategory = asyncHandler(async (req, res) => {
 // @route   GET /api/categories/:id/threads
 // @access  Public
 const getCategoryThreads = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
   const category = await Category.findById(req.params.id);
 
   if (!category || !category.isActive) {
@@ -193,10 +204,6 @@ const getCategoryThreads = asyncHandler(async (req, res) => {
     });
   }
 
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const startIndex = (page - 1) * limit;
-
   let sortBy = '-createdAt';
   if (req.query.sort) {
     switch (req.query.sort) {
@@ -215,24 +222,24 @@ const getCategoryThreads = asyncHandler(async (req, res) => {
     }
   }
 
-  const threads = await Thread.find({ category: category._id })
-    .populate('createdBy', 'username name image role reputation')
-    .populate('category', 'name color icon')
-    .sort(sortBy)
-    .limit(limit * 1)
-    .skip(startIndex);
+  // Pinned threads always come first
+  sortBy = `-isPinned ${sortBy}`;
+
+  const filters = await parseThreadFilters(req.query);
+  const query = Thread.getFilteredThreads({ ...filters, category: category._id });
 
-  const total = await Thread.countDocuments({ category: category._id });
+  const { results: threads, pagination } = await paginate(
+    query
+      .populate('createdBy', 'username name image role reputation')
+      .populate('category', 'name color icon'),
+    req.query,
+    { sort: sortBy }
+  );
 
   res.json({
     success: true,
     count: threads.length,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit),
-    },
+    pagination,
     data: {
       category,
       threads,
@@ -240,6 +247,47 @@ const getCategoryThreads = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Follow/Unfollow category
+// @route   POST /api/categories/:id/follow
+// @access  Private
+const followCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category || !category.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found',
+    });
+  }
+
+  const currentUser = await User.findById(req.user.id).select('+categoriesFollowed');
+  const isFollowing = currentUser.categoriesFollowed.some(id => id.equals(category._id));
+
+  if (isFollowing) {
+    // Unfollow
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { categoriesFollowed: category._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Category unfollowed',
+      isFollowing: false,
+    });
+  } else {
+    // Follow
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { categoriesFollowed: category._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Category followed',
+      isFollowing: true,
+    });
+  }
+});
+
 module.exports = {
   getCategories,
   getCategory,
@@ -247,4 +295,5 @@ module.exports = {
   updateCategory,
   deleteCategory,
   getCategoryThreads,
+  followCategory,
 };
\ No newline at end of file
@@ -1,8 +1,11 @@
 const Comment = require('../models/Comment');
 const Thread = require('../models/Thread');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
 const asyncHandler = require('../utils/asyncHandler');
+const { createNotification, createNotifications } = require('../utils/notificationService');
+const { claimAttachments, saveWithAttachments, removeAttachedTo } = require('../utils/uploadService');
+const { resolveMentions, notifyMentions } = require('../utils/mentionService');
+const reputationService = require('../utils/reputationService');
 const { validationResult } = require('express-validator');
 
 // @desc    Get comments for a thread
@@ -18,14 +21,14 @@ const getComments = asyncHandler(async (req, res) => {
     });
   }
 
-  const comments = await Comment.find({ threadId, parentId: null })
+  const comments = await Comment.find({ threadId, parentId: null, isHidden: { $ne: true } })
     .populate('userId', 'username name image role reputation')
     .populate('mentions', 'username name')
     .sort('createdAt');
 
   // Get replies for each comment
   for (let comment of comments) {
-    const replies = await Comment.find({ parentId: comment._id })
+    const replies = await Comment.find({ parentId: comment._id, isHidden: { $ne: true } })
       .populate('userId', 'username name image role reputation')
       .sort('createdAt');
     comment.replies = replies;
@@ -50,7 +53,7 @@ const createComment = asyncHandler(async (req, res) => {
     });
   }
 
-  const { threadId, body, parentId, mentions } = req.body;
+  const { threadId, body, parentId, attachments } = req.body;
 
   // Check if thread exists
   const thread = await Thread.findById(threadId);
@@ -80,77 +83,86 @@ const createComment = asyncHandler(async (req, res) => {
     }
   }
 
-  const comment = await Comment.create({
+  const comment = new Comment({
     threadId,
     userId: req.user.id,
     body,
     parentId: parentId || null,
-    mentions: mentions || [],
+    mentions: await resolveMentions(body, req.user.id),
   });
 
+  comment.attachments = await claimAttachments(req.user.id, attachments, 'comment', comment._id);
+  await saveWithAttachments(comment);
+
   // Update thread comment count
   await Thread.findByIdAndUpdate(threadId, {
     $inc: { commentsCount: 1 },
   });
 
-  // Create notifications
-  if (!parentId) {
-    // Notify thread owner
-    if (thread.createdBy.toString() !== req.user.id) {
-      await Notification.create({
-        userId: thread.createdBy,
-        type: 'thread_reply',
-        title: 'New comment on your thread',
-        message: `${req.user.name} commented on your thread "${thread.title}"`,
-        data: {
-          threadId: thread._id,
-          commentId: comment._id,
-          fromUserId: req.user.id,
-          actionUrl: `/threads/${thread._id}#comment-${comment._id}`,
-        },
-      });
-    }
-  } else {
-    // Notify parent comment owner
+  // Commenters follow the thread unless they muted it
+  await User.updateOne(
+    { _id: req.user.id, threadsMuted: { $ne: thread._id } },
+    { $addToSet: { threadsFollowed: thread._id } }
+  );
+
+  const notificationData = {
+    threadId: thread._id,
+    commentId: comment._id,
+    fromUserId: req.user.id,
+    actionUrl: `/threads/${thread._id}#comment-${comment._id}`,
+  };
+
+  // Notify mentioned users
+  const mentioned = await notifyMentions(comment.mentions, [], {
+    type: 'comment_mention',
+    title: 'You were mentioned in a comment',
+    message: `${req.user.name} mentioned you in a comment on "${thread.title}"`,
+    data: notificationData,
+  });
+
+  // Users who get a more specific notification are left out of the
+  // follower notifications
+  const skipIds = [req.user.id, ...mentioned];
+
+  // Notify parent comment owner
+  if (parentId) {
     const parentComment = await Comment.findById(parentId);
-    if (parentComment.userId.toString() !== req.user.id) {
-      await Notification.create({
+    const parentAuthor = await User.findById(parentComment.userId).select('threadsMuted');
+    skipIds.push(parentComment.userId.toString());
+
+    if (parentComment.userId.toString() !== req.user.id &&
+        parentAuthor && !parentAuthor.threadsMuted.some(id => id.equals(thread._id))) {
+      await createNotification({
         userId: parentComment.userId,
         type: 'comment_reply',
         title: 'Reply to your comment',
         message: `${req.user.name} replied to your comment`,
-        data: {
-          threadId: thread._id,
-          commentId: comment._id,
-          fromUserId: req.user.id,
-          actionUrl: `/threads/${thread._id}#comment-${comment._id}`,
-        },
+        data: notificationData,
       });
     }
   }
 
-  // Notify mentioned users
-  if (mentions && mentions.length > 0) {
-    for (const mentionedUserId of mentions) {
-      if (mentionedUserId !== req.user.id) {
-        const mentionedUser = await User.findById(mentionedUserId);
-        if (mentionedUser) {
-          await Notification.create({
-            userId: mentionedUserId,
-            type: 'comment_mention',
-            title: 'You were mentioned in a comment',
-            message: `${req.user.name} mentioned you in a comment on "${thread.title}"`,
-            data: {
-              threadId: thread._id,
-              commentId: comment._id,
-              fromUserId: req.user.id,
-              actionUrl: `/threads/${thread._id}#comment-${comment._id}`,
-            },
-          });
-        }
-      }
-    }
-  }
+  // Notify the thread owner and followers in one batch. The owner is
+  // included even if they never followed (threads from before auto-follow).
+  const followers = await User.find({
+    $or: [{ _id: thread.createdBy }, { threadsFollowed: thread._id }],
+    _id: { $nin: skipIds },
+    threadsMuted: { $ne: thread._id },
+    isActive: true,
+  }).select('_id');
+
+  await createNotifications(followers.map(follower => {
+    const isOwner = follower._id.equals(thread.createdBy);
+    return {
+      userId: follower._id,
+      type: 'thread_reply',
+      title: isOwner ? 'New comment on your thread' : 'New reply in a thread you follow',
+      message: isOwner
+        ? `${req.user.name} commented on your thread "${thread.title}"`
+        : `${req.user.name} commented on "${thread.title}"`,
+      data: notificationData,
+    };
+  }));
 
   // Populate and return the created comment
   const populatedComment = await Comment.findById(comment._id)
@@ -184,13 +196,14 @@ const updateComment = asyncHandler(async (req, res) => {
     });
   }
 
-  const { body, mentions } = req.body;
+  const { body } = req.body;
+  const previousMentions = comment.mentions;
 
   comment = await Comment.findByIdAndUpdate(
     req.params.id,
     {
       body,
-      mentions: mentions || [],
+      mentions: await resolveMentions(body !== undefined ? body : comment.body, req.user.id),
       isEdited: true,
       editedAt: Date.now(),
     },
@@ -201,6 +214,20 @@ const updateComment = asyncHandler(async (req, res) => {
   ).populate('userId', 'username name image role reputation')
    .populate('mentions', 'username name');
 
+  // Only users added by the edit hear about it
+  const thread = await Thread.findById(comment.threadId);
+  await notifyMentions(comment.mentions.map(user => user._id), previousMentions, {
+    type: 'comment_mention',
+    title: 'You were mentioned in a comment',
+    message: `${req.user.name} mentioned you in a comment on "${thread.title}"`,
+    data: {
+      threadId: thread._id,
+      commentId: comment._id,
+      fromUserId: req.user.id,
+      actionUrl: `/threads/${thread._id}#comment-${comment._id}`,
+    },
+  });
+
   res.json({
     success: true,
     data: comment,
@@ -228,17 +255,33 @@ const deleteComment = asyncHandler(async (req, res) => {
     });
   }
 
+  const replies = await Comment.find({ parentId: comment._id }).select('userId isAccepted');
+  const replyIds = replies.map(reply => reply._id);
+
+  // Withdraw accepted-answer status from the comment or any reply removed
+  // with it
+  for (const removed of [comment, ...replies].filter(c => c.isAccepted)) {
+    await Thread.findByIdAndUpdate(comment.threadId, { acceptedAnswer: null });
+    await reputationService.reverse({
+      user: removed.userId,
+      type: 'answer_accepted',
+      comment: removed._id,
+    });
+  }
+
   // Delete all replies
-  await Comment.deleteMany({ parentId: comment._id });
+  await Comment.deleteMany({ _id: { $in: replyIds } });
 
   // Update thread comment count
-  const replyCount = await Comment.countDocuments({ parentId: comment._id });
   await Thread.findByIdAndUpdate(comment.threadId, {
-    $inc: { commentsCount: -(replyCount + 1) },
+    $inc: { commentsCount: -(replyIds.length + 1) },
   });
 
   await comment.deleteOne();
 
+  // Files go with the comments they were attached to
+  await removeAttachedTo('comment', [comment._id, ...replyIds]);
+
   res.json({
     success: true,
     message: 'Comment deleted successfully',
@@ -270,6 +313,8 @@ const voteComment = asyncHandler(async (req, res) => {
   const existingVote = comment.votedBy.find(
     vote => vote.user.toString() === req.user.id
   );
+  const previousVote = existingVote ? existingVote.voteType : null;
+  const nextVote = previousVote === voteType ? null : voteType;
 
   if (existingVote) {
     if (existingVote.voteType === voteType) {
@@ -310,7 +355,7 @@ const voteComment = asyncHandler(async (req, res) => {
 
     // Create notification for comment owner (only for upvotes)
     if (voteType === 'up' && comment.userId.toString() !== req.user.id) {
-      await Notification.create({
+      await createNotification({
         userId: comment.userId,
         type: 'comment_upvote',
         title: 'Your comment received an upvote',
@@ -327,6 +372,17 @@ const voteComment = asyncHandler(async (req, res) => {
 
   await comment.save();
 
+  // Update the author's reputation
+  await reputationService.applyVote({
+    target: 'comment',
+    user: comment.userId,
+    actor: req.user.id,
+    previous: previousVote,
+    next: nextVote,
+    thread: comment.threadId,
+    comment: comment._id,
+  });
+
   res.json({
     success: true,
     upvotes: comment.upvotes,
@@ -334,10 +390,85 @@ const voteComment = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Accept/Unaccept comment as the answer
+// @route   POST /api/comments/:id/accept
+// @access  Private (Thread owner only)
+const acceptComment = asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found',
+    });
+  }
+
+  const thread = await Thread.findById(comment.threadId);
+
+  if (thread.createdBy.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the thread owner can accept an answer',
+    });
+  }
+
+  if (comment.isAccepted) {
+    // Unaccept
+    comment.isAccepted = false;
+    thread.acceptedAnswer = null;
+    await comment.save();
+    await thread.save();
+
+    await reputationService.reverse({
+      user: comment.userId,
+      type: 'answer_accepted',
+      comment: comment._id,
+    });
+
+    return res.json({
+      success: true,
+      message: 'Answer unaccepted',
+      isAccepted: false,
+    });
+  }
+
+  // Only one accepted answer per thread
+  if (thread.acceptedAnswer) {
+    const previous = await Comment.findByIdAndUpdate(thread.acceptedAnswer, { isAccepted: false });
+    if (previous) {
+      await reputationService.reverse({
+        user: previous.userId,
+        type: 'answer_accepted',
+        comment: previous._id,
+      });
+    }
+  }
+
+  comment.isAccepted = true;
+  thread.acceptedAnswer = comment._id;
+  await comment.save();
+  await thread.save();
+
+  await reputationService.award({
+    user: comment.userId,
+    type: 'answer_accepted',
+    actor: req.user.id,
+    thread: thread._id,
+    comment: comment._id,
+  });
+
+  res.json({
+    success: true,
+    message: 'Answer accepted',
+    isAccepted: true,
+  });
+});
+
 module.exports = {
   getComments,
   createComment,
   updateComment,
   deleteComment,
   voteComment,
+  acceptComment,
 };
\ No newline at end of file
@@ -0,0 +1,429 @@
+const Contract = require('../models/Contract');
+const Thread = require('../models/Thread');
+const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const { releaseEscrow, refundEscrow } = require('../utils/ledgerService');
+const reputationService = require('../utils/reputationService');
+const { validationResult } = require('express-validator');
+
+// Load the contract and milestone addressed by the route. Sends the error
+// response itself and returns null when either cannot be found or the
+// current user is not the expected party.
+const loadMilestone = async (req, res, party) => {
+  const contract = await Contract.findById(req.params.id);
+
+  if (!contract) {
+    res.status(404).json({
+      success: false,
+      message: 'Contract not found',
+    });
+    return null;
+  }
+
+  if (contract[party].toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: `Only the ${party} can perform this action`,
+    });
+    return null;
+  }
+
+  if (contract.status !== 'active') {
+    res.status(400).json({
+      success: false,
+      message: `Contract is ${contract.status}`,
+    });
+    return null;
+  }
+
+  const milestone = contract.milestones.id(req.params.milestoneId);
+
+  if (!milestone) {
+    res.status(404).json({
+      success: false,
+      message: 'Milestone not found',
+    });
+    return null;
+  }
+
+  return { contract, milestone };
+};
+
+// @desc    Get current user's contracts
+// @route   GET /api/contracts
+// @access  Private
+const getContracts = asyncHandler(async (req, res) => {
+  const query = {
+    $or: [{ client: req.user.id }, { freelancer: req.user.id }],
+  };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const contracts = await Contract.find(query)
+    .populate('thread', 'title slug status')
+    .populate('client', 'username name image')
+    .populate('freelancer', 'username name image')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: contracts.length,
+    data: contracts,
+  });
+});
+
+// @desc    Get single contract
+// @route   GET /api/contracts/:id
+// @access  Private
+const getContract = asyncHandler(async (req, res) => {
+  const contract = await Contract.findById(req.params.id)
+    .populate('thread', 'title slug status budget deadline')
+    .populate('client', 'username name image reputation')
+    .populate('freelancer', 'username name image reputation');
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found',
+    });
+  }
+
+  if (
+    contract.client._id.toString() !== req.user.id &&
+    contract.freelancer._id.toString() !== req.user.id
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this contract',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: contract,
+  });
+});
+
+// @desc    Submit milestone for review
+// @route   PUT /api/contracts/:id/milestones/:milestoneId/submit
+// @access  Private (Freelancer only)
+const submitMilestone = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const loaded = await loadMilestone(req, res, 'freelancer');
+  if (!loaded) return;
+
+  const { contract, milestone } = loaded;
+
+  if (!['pending', 'changes_requested'].includes(milestone.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot submit a ${milestone.status} milestone`,
+    });
+  }
+
+  // Milestones are delivered in order
+  const outstanding = contract.milestones.find(
+    m => m.order < milestone.order && m.status !== 'approved'
+  );
+
+  if (outstanding) {
+    return res.status(400).json({
+      success: false,
+      message: 'Previous milestones must be approved first',
+    });
+  }
+
+  milestone.status = 'submitted';
+  milestone.submissionNote = req.body.note;
+  milestone.submittedAt = Date.now();
+  await contract.save();
+
+  await createNotification({
+    userId: contract.client,
+    type: 'milestone_submitted',
+    title: 'Milestone submitted for review',
+    message: `${req.user.name} submitted "${milestone.title}" for review`,
+    data: {
+      threadId: contract.thread,
+      contractId: contract._id,
+      fromUserId: req.user.id,
+      actionUrl: `/contracts/${contract._id}`,
+    },
+  });
+
+  res.json({
+    success: true,
+    data: contract,
+  });
+});
+
+// @desc    Approve submitted milestone
+// @route   PUT /api/contracts/:id/milestones/:milestoneId/approve
+// @access  Private (Client only)
+const approveMilestone = asyncHandler(async (req, res) => {
+  const loaded = await loadMilestone(req, res, 'client');
+  if (!loaded) return;
+
+  const { contract, milestone } = loaded;
+
+  // Conditional on the milestone still being submitted, so concurrent
+  // approvals cannot both go through
+  const approvedAt = Date.now();
+  const approved = await Contract.updateOne(
+    { _id: contract._id, status: 'active', milestones: { $elemMatch: { _id: milestone._id, status: 'submitted' } } },
+    { $set: { 'milestones.$.status': 'approved', 'milestones.$.approvedAt': approvedAt } }
+  );
+
+  if (approved.modifiedCount !== 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only submitted milestones can be approved',
+    });
+  }
+
+  milestone.status = 'approved';
+  milestone.approvedAt = approvedAt;
+
+  // Approved work is paid out from escrow straight away. If the payout
+  // fails the milestone goes back to submitted so it can be approved again.
+  if (milestone.escrowStatus === 'funded') {
+    try {
+      await releaseEscrow(contract, milestone, req.user);
+    } catch (error) {
+      await Contract.updateOne(
+        { _id: contract._id, milestones: { $elemMatch: { _id: milestone._id, status: 'approved' } } },
+        { $set: { 'milestones.$.status': 'submitted', 'milestones.$.approvedAt': null } }
+      );
+      throw error;
+    }
+  }
+
+  // Only the approval that finds every milestone approved completes the
+  // contract, so completion is handled once
+  const completedAt = Date.now();
+  const completed = await Contract.findOneAndUpdate(
+    {
+      _id: contract._id,
+      status: 'active',
+      'milestones.0': { $exists: true },
+      milestones: { $not: { $elemMatch: { status: { $ne: 'approved' } } } },
+    },
+    { status: 'completed', completedAt },
+    { new: true }
+  );
+
+  if (completed) {
+    contract.status = 'completed';
+    contract.completedAt = completedAt;
+  }
+
+  await createNotification({
+    userId: contract.freelancer,
+    type: 'milestone_approved',
+    title: 'Milestone approved',
+    message: `${req.user.name} approved "${milestone.title}"`,
+    data: {
+      threadId: contract.thread,
+      contractId: contract._id,
+      fromUserId: req.user.id,
+      actionUrl: `/contracts/${contract._id}`,
+    },
+  });
+
+  if (completed) {
+    const thread = await Thread.findByIdAndUpdate(
+      contract.thread,
+      { status: 'completed', completedAt: contract.completedAt },
+      { new: true }
+    );
+
+    await reputationService.award({
+      user: contract.freelancer,
+      type: 'job_completed_freelancer',
+      thread: contract.thread,
+      contract: contract._id,
+    });
+    await reputationService.award({
+      user: contract.client,
+      type: 'job_completed_client',
+      thread: contract.thread,
+      contract: contract._id,
+    });
+
+    for (const userId of [contract.client, contract.freelancer]) {
+      await createNotification({
+        userId,
+        type: 'contract_completed',
+        title: 'Contract completed',
+        message: `All milestones on "${thread.title}" have been approved`,
+        data: {
+          threadId: contract.thread,
+          contractId: contract._id,
+          actionUrl: `/contracts/${contract._id}`,
+        },
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: contract,
+  });
+});
+
+// @desc    Request changes on submitted milestone
+// @route   PUT /api/contracts/:id/milestones/:milestoneId/request-changes
+// @access  Private (Client only)
+const requestMilestoneChanges = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const loaded = await loadMilestone(req, res, 'client');
+  if (!loaded) return;
+
+  const { contract, milestone } = loaded;
+
+  if (milestone.status !== 'submitted') {
+    return res.status(400).json({
+      success: false,
+      message: 'Changes can only be requested on submitted milestones',
+    });
+  }
+
+  milestone.status = 'changes_requested';
+  milestone.feedback = req.body.feedback;
+  milestone.revisions += 1;
+  await contract.save();
+
+  await createNotification({
+    userId: contract.freelancer,
+    type: 'milestone_changes_requested',
+    title: 'Changes requested on milestone',
+    message: `${req.user.name} requested changes on "${milestone.title}"`,
+    data: {
+      threadId: contract.thread,
+      contractId: contract._id,
+      fromUserId: req.user.id,
+      actionUrl: `/contracts/${contract._id}`,
+    },
+  });
+
+  res.json({
+    success: true,
+    data: contract,
+  });
+});
+
+// @desc    Cancel contract and refund escrow that was not paid out
+// @route   PUT /api/contracts/:id/cancel
+// @access  Private (Client or admin)
+const cancelContract = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const contract = await Contract.findById(req.params.id);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found',
+    });
+  }
+
+  const isAdmin = req.user.staffRole === 'admin';
+
+  if (contract.client.toString() !== req.user.id && !isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the client or an admin can cancel a contract',
+    });
+  }
+
+  // Work waiting for review has to be reviewed first; an admin can still
+  // cancel, e.g. to settle a dispute
+  if (!isAdmin && contract.milestones.some(milestone => milestone.status === 'submitted')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Review the submitted milestones before cancelling',
+    });
+  }
+
+  const cancelled = await Contract.findOneAndUpdate(
+    { _id: contract._id, status: 'active' },
+    {
+      status: 'cancelled',
+      cancelledAt: Date.now(),
+      cancelledBy: req.user.id,
+      cancelReason: req.body.reason,
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!cancelled) {
+    return res.status(400).json({
+      success: false,
+      message: `Contract is ${contract.status === 'active' ? 'no longer active' : contract.status}`,
+    });
+  }
+
+  // A refund that fails here can be retried through the wallet refund route
+  for (const milestone of cancelled.milestones.filter(m => m.escrowStatus === 'funded')) {
+    try {
+      await refundEscrow(cancelled, milestone, req.user);
+    } catch (error) {
+      console.error(`Escrow refund for milestone ${milestone._id} failed:`, error.message);
+    }
+  }
+
+  const thread = await Thread.findByIdAndUpdate(cancelled.thread, { status: 'closed' }, { new: true });
+
+  for (const userId of [cancelled.client, cancelled.freelancer]) {
+    if (userId.toString() === req.user.id) continue;
+
+    await createNotification({
+      userId,
+      type: 'contract_cancelled',
+      title: 'Contract cancelled',
+      message: `The contract for "${thread ? thread.title : 'a job'}" has been cancelled`,
+      data: {
+        threadId: cancelled.thread,
+        contractId: cancelled._id,
+        fromUserId: req.user.id,
+        actionUrl: `/contracts/${cancelled._id}`,
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: cancelled,
+  });
+});
+
+module.exports = {
+  getContracts,
+  getContract,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneChanges,
+  cancelContract,
+};
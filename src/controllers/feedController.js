@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { buildFeed } = require('../utils/feedService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get personalized home feed
+// @route   GET /api/feed
+// @access  Private
+const getFeed = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const user = await User.findById(req.user.id).select('+categoriesFollowed +tagsFollowed');
+
+  const feed = await buildFeed(user, { limit, after: req.query.after });
+
+  res.json({
+    success: true,
+    count: feed.items.length,
+    asOf: feed.asOf,
+    pagination: {
+      page: null,
+      limit,
+      total: null,
+      pages: null,
+      hasNext: feed.hasNext,
+      hasPrev: Boolean(req.query.after),
+      nextCursor: feed.nextCursor,
+      prevCursor: null,
+    },
+    data: feed.items,
+  });
+});
+
+module.exports = {
+  getFeed,
+};
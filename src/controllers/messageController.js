@@ -1,7 +1,9 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
 const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const { claimAttachments, saveWithAttachments, removeAttachedTo } = require('../utils/uploadService');
+const { paginate } = require('../utils/pagination');
 const { validationResult } = require('express-validator');
 
 // @desc    Get user conversations
@@ -15,6 +17,7 @@ const getConversations = asyncHandler(async (req, res) => {
       $match: {
         $or: [{ sender: userId }, { receiver: userId }],
         isDeleted: false,
+        isHidden: { $ne: true },
       },
     },
     {
@@ -87,11 +90,16 @@ const getConversations = asyncHandler(async (req, res) => {
 // @route   GET /api/messages/:userId
 // @access  Private
 const getMessages = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
   const { userId } = req.params;
   const currentUserId = req.user.id;
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 50;
-  const startIndex = (page - 1) * limit;
 
   // Check if the other user exists
   const otherUser = await User.findById(userId);
@@ -102,18 +110,21 @@ const getMessages = asyncHandler(async (req, res) => {
     });
   }
 
-  const messages = await Message.find({
-    $or: [
-      { sender: currentUserId, receiver: userId },
-      { sender: userId, receiver: currentUserId },
-    ],
-    isDeleted: false,
-  })
-    .populate('sender', 'username name image')
-    .populate('receiver', 'username name image')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip(startIndex);
+  // Newest first; `after` pages back through older messages
+  const { results: messages, pagination } = await paginate(
+    Message.find({
+      $or: [
+        { sender: currentUserId, receiver: userId },
+        { sender: userId, receiver: currentUserId },
+      ],
+      isDeleted: false,
+      isHidden: { $ne: true },
+    })
+      .populate('sender', 'username name image')
+      .populate('receiver', 'username name image'),
+    req.query,
+    { sort: { createdAt: -1 }, defaultLimit: 50 }
+  );
 
   // Mark messages as read
   await Message.updateMany(
@@ -128,23 +139,10 @@ const getMessages = asyncHandler(async (req, res) => {
     }
   );
 
-  const total = await Message.countDocuments({
-    $or: [
-      { sender: currentUserId, receiver: userId },
-      { sender: userId, receiver: currentUserId },
-    ],
-    isDeleted: false,
-  });
-
   res.json({
     success: true,
     count: messages.length,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit),
-    },
+    pagination,
     data: messages.reverse(), // Reverse to show oldest first
   });
 });
@@ -161,7 +159,7 @@ const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  const { receiverId, content, threadId, messageType } = req.body;
+  const { receiverId, content, threadId, messageType, attachments } = req.body;
 
   // Check if receiver exists
   const receiver = await User.findById(receiverId);
@@ -180,7 +178,7 @@ const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  const message = await Message.create({
+  const message = new Message({
     sender: req.user.id,
     receiver: receiverId,
     content,
@@ -188,8 +186,17 @@ const sendMessage = asyncHandler(async (req, res) => {
     messageType: messageType || 'text',
   });
 
+  message.attachments = await claimAttachments(req.user.id, attachments, 'message', message._id);
+
+  // The message type follows from what was actually attached
+  if (message.attachments.length > 0) {
+    message.messageType = message.attachments.every(a => a.mimetype.startsWith('image/')) ? 'image' : 'file';
+  }
+
+  await saveWithAttachments(message);
+
   // Create notification
-  await Notification.create({
+  await createNotification({
     userId: receiverId,
     type: 'new_message',
     title: 'New message',
@@ -281,6 +288,11 @@ const deleteMessage = asyncHandler(async (req, res) => {
 
   await message.save();
 
+  // Once neither side can see the message, its files are removed
+  if (message.isDeleted) {
+    await removeAttachedTo('message', [message._id]);
+  }
+
   res.json({
     success: true,
     message: 'Message deleted successfully',
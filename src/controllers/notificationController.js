@@ -0,0 +1,151 @@
+const Notification = require('../models/Notification');
+const asyncHandler = require('../utils/asyncHandler');
+const { pushUnreadCount } = require('../utils/notificationService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  const query = { userId: req.user.id };
+
+  // Filter by type
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  // Filter by read state
+  if (req.query.read !== undefined) {
+    query.read = req.query.read === 'true';
+  }
+
+  const notifications = await Notification.find(query)
+    .populate('data.threadId', 'title slug')
+    .populate('data.commentId', 'body threadId')
+    .populate('data.fromUserId', 'username name image')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await Notification.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: notifications,
+  });
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread/count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({
+    userId: req.user.id,
+    read: false,
+  });
+
+  res.json({
+    success: true,
+    count,
+  });
+});
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found',
+    });
+  }
+
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = Date.now();
+    await notification.save();
+    await pushUnreadCount(req.user.id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user.id, read: false },
+    { read: true, readAt: Date.now() }
+  );
+
+  await pushUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    count: result.modifiedCount,
+  });
+});
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found',
+    });
+  }
+
+  if (!notification.read) {
+    await pushUnreadCount(req.user.id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification deleted successfully',
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+};
@@ -0,0 +1,291 @@
+const PortfolioItem = require('../models/PortfolioItem');
+const Thread = require('../models/Thread');
+const asyncHandler = require('../utils/asyncHandler');
+const { mapTags } = require('../utils/tagService');
+const {
+  claimAttachments,
+  releaseAttachments,
+  saveWithAttachments,
+  removeAttachments,
+} = require('../utils/uploadService');
+const { validationResult } = require('express-validator');
+
+const MAX_ITEMS = 50;
+const MAX_FEATURED = 3;
+
+// Load one of the current user's portfolio items. Sends the error response
+// itself and returns null on failure.
+const loadOwnItem = async (req, res) => {
+  const item = await PortfolioItem.findOne({
+    _id: req.params.itemId,
+    owner: req.user.id,
+  });
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Portfolio item not found',
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// Check a linked thread is a completed job the user was hired for. Sends the
+// error response itself and returns false on failure.
+const checkLinkedThread = async (threadId, req, res) => {
+  const thread = await Thread.findById(threadId);
+
+  if (!thread || thread.status !== 'completed' ||
+      !thread.hiredFreelancer || thread.hiredFreelancer.toString() !== req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'Only completed jobs you were hired for can be linked',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Canonical tag names for the skills used
+const normalizeSkills = async (skills) => {
+  const skillMap = await mapTags(skills);
+  return [...new Set(skills.map(skill => skillMap.get(skill)).filter(Boolean))];
+};
+
+// @desc    Get current user's portfolio
+// @route   GET /api/users/me/portfolio
+// @access  Private (Freelancer only)
+const getMyPortfolio = asyncHandler(async (req, res) => {
+  const items = await PortfolioItem.findForOwner(req.user.id);
+
+  res.json({
+    success: true,
+    count: items.length,
+    data: items,
+  });
+});
+
+// @desc    Add portfolio item
+// @route   POST /api/users/me/portfolio
+// @access  Private (Freelancer only)
+const createPortfolioItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const count = await PortfolioItem.countDocuments({ owner: req.user.id });
+  if (count >= MAX_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      message: `A portfolio can have at most ${MAX_ITEMS} items`,
+    });
+  }
+
+  const { title, description, role, skills, links, images, thread, isFeatured } = req.body;
+
+  if (thread && !(await checkLinkedThread(thread, req, res))) return;
+
+  if (isFeatured) {
+    const featured = await PortfolioItem.countDocuments({ owner: req.user.id, isFeatured: true });
+    if (featured >= MAX_FEATURED) {
+      return res.status(400).json({
+        success: false,
+        message: `You can feature at most ${MAX_FEATURED} items`,
+      });
+    }
+  }
+
+  const item = new PortfolioItem({
+    owner: req.user.id,
+    title,
+    description,
+    role,
+    skills: await normalizeSkills(skills || []),
+    links: links || [],
+    thread: thread || null,
+    isFeatured: Boolean(isFeatured),
+    // New items go to the end
+    order: count,
+  });
+
+  item.images = await claimAttachments(req.user.id, images, 'portfolio', item._id, { imagesOnly: true });
+  await saveWithAttachments(item);
+
+  // Another request can pass the counts above at the same time, so count
+  // again now the item is stored and take it back out if a limit was passed
+  const [total, featured] = await Promise.all([
+    PortfolioItem.countDocuments({ owner: req.user.id }),
+    item.isFeatured ? PortfolioItem.countDocuments({ owner: req.user.id, isFeatured: true }) : 0,
+  ]);
+
+  if (total > MAX_ITEMS || featured > MAX_FEATURED) {
+    await item.deleteOne();
+    await releaseAttachments(item._id);
+
+    return res.status(400).json({
+      success: false,
+      message: total > MAX_ITEMS
+        ? `A portfolio can have at most ${MAX_ITEMS} items`
+        : `You can feature at most ${MAX_FEATURED} items`,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: item,
+  });
+});
+
+// @desc    Update portfolio item
+// @route   PUT /api/users/me/portfolio/:itemId
+// @access  Private (Freelancer only)
+const updatePortfolioItem = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const item = await loadOwnItem(req, res);
+  if (!item) return;
+
+  const { skills, images, thread, isFeatured } = req.body;
+
+  if (thread && !(await checkLinkedThread(thread, req, res))) return;
+
+  // Feature the item first and count afterwards, backing out if that went
+  // over the limit, so concurrent requests cannot both fit under it
+  const featuring = Boolean(isFeatured) && !item.isFeatured;
+  if (featuring) {
+    await PortfolioItem.updateOne({ _id: item._id }, { isFeatured: true });
+
+    const featured = await PortfolioItem.countDocuments({ owner: req.user.id, isFeatured: true });
+    if (featured > MAX_FEATURED) {
+      await PortfolioItem.updateOne({ _id: item._id }, { isFeatured: false });
+
+      return res.status(400).json({
+        success: false,
+        message: `You can feature at most ${MAX_FEATURED} items`,
+      });
+    }
+  }
+
+  // `images` is the full new list: keep listed images, attach new uploads
+  // and delete the ones that were dropped once the item is saved
+  let added = [];
+  let dropped = [];
+
+  try {
+    ['title', 'description', 'role', 'links'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    });
+
+    if (skills !== undefined) item.skills = await normalizeSkills(skills);
+    if (thread !== undefined) item.thread = thread || null;
+    if (isFeatured !== undefined) item.isFeatured = Boolean(isFeatured);
+
+    if (images !== undefined) {
+      const keptIds = images.map(String);
+      const kept = item.images.filter(image => keptIds.includes(image.fileId.toString()));
+      const newIds = keptIds.filter(id => !kept.some(image => image.fileId.toString() === id));
+      dropped = item.images.filter(image => !keptIds.includes(image.fileId.toString()));
+
+      added = await claimAttachments(req.user.id, newIds, 'portfolio', item._id, { imagesOnly: true });
+
+      item.images = keptIds.map(id =>
+        kept.find(image => image.fileId.toString() === id) ||
+        added.find(image => image.fileId.toString() === id)
+      );
+    }
+
+    await saveWithAttachments(item, added.map(image => image.fileId));
+  } catch (error) {
+    // The update did not go through, so neither does featuring the item
+    if (featuring) {
+      await PortfolioItem.updateOne({ _id: item._id }, { isFeatured: false });
+    }
+    throw error;
+  }
+
+  if (dropped.length > 0) {
+    await removeAttachments(dropped.map(image => image.fileId));
+  }
+
+  res.json({
+    success: true,
+    data: item,
+  });
+});
+
+// @desc    Reorder portfolio items
+// @route   PUT /api/users/me/portfolio/order
+// @access  Private (Freelancer only)
+const reorderPortfolio = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const ids = req.body.items.map(String);
+  const items = await PortfolioItem.find({ owner: req.user.id });
+
+  if (ids.length !== items.length || !items.every(item => ids.includes(item._id.toString()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'The order must list every portfolio item exactly once',
+    });
+  }
+
+  await PortfolioItem.bulkWrite(ids.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id, owner: req.user.id },
+      update: { order: index },
+    },
+  })));
+
+  const reordered = await PortfolioItem.findForOwner(req.user.id);
+
+  res.json({
+    success: true,
+    count: reordered.length,
+    data: reordered,
+  });
+});
+
+// @desc    Delete portfolio item
+// @route   DELETE /api/users/me/portfolio/:itemId
+// @access  Private (Freelancer only)
+const deletePortfolioItem = asyncHandler(async (req, res) => {
+  const item = await loadOwnItem(req, res);
+  if (!item) return;
+
+  await removeAttachments(item.images.map(image => image.fileId));
+  await item.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Portfolio item deleted successfully',
+  });
+});
+
+module.exports = {
+  getMyPortfolio,
+  createPortfolioItem,
+  updatePortfolioItem,
+  reorderPortfolio,
+  deletePortfolioItem,
+};
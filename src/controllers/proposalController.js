@@ -0,0 +1,450 @@
+const Proposal = require('../models/Proposal');
+const Contract = require('../models/Contract');
+const Thread = require('../models/Thread');
+const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const { validationResult } = require('express-validator');
+
+// Load the thread and proposal addressed by the route, checking that the
+// current user owns the thread. Sends the error response itself and
+// returns null when the request cannot proceed.
+const loadOwnedProposal = async (req, res) => {
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread) {
+    res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+    return null;
+  }
+
+  if (thread.createdBy.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage proposals on this thread',
+    });
+    return null;
+  }
+
+  const proposal = await Proposal.findOne({
+    _id: req.params.proposalId,
+    thread: thread._id,
+  });
+
+  if (!proposal) {
+    res.status(404).json({
+      success: false,
+      message: 'Proposal not found',
+    });
+    return null;
+  }
+
+  return { thread, proposal };
+};
+
+// @desc    Get proposals for a thread
+// @route   GET /api/threads/:id/proposals
+// @access  Private
+const getProposals = asyncHandler(async (req, res) => {
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  const query = { thread: thread._id };
+
+  // Thread owners see every bid, freelancers only their own
+  if (thread.createdBy.toString() !== req.user.id) {
+    query.freelancer = req.user.id;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const proposals = await Proposal.find(query)
+    .populate('freelancer', 'username name image role reputation skills')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: proposals.length,
+    data: proposals,
+  });
+});
+
+// @desc    Submit proposal
+// @route   POST /api/threads/:id/proposals
+// @access  Private (Freelancer only)
+const createProposal = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  if (thread.createdBy.toString() === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot bid on your own thread',
+    });
+  }
+
+  if (thread.status !== 'open' || thread.isLocked) {
+    return res.status(400).json({
+      success: false,
+      message: 'Thread is not accepting proposals',
+    });
+  }
+
+  const existingProposal = await Proposal.findOne({
+    thread: thread._id,
+    freelancer: req.user.id,
+  });
+
+  if (existingProposal) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already submitted a proposal for this thread',
+    });
+  }
+
+  const { amount, deliveryDays, coverLetter } = req.body;
+
+  const proposal = await Proposal.create({
+    thread: thread._id,
+    freelancer: req.user.id,
+    amount,
+    currency: thread.budget && thread.budget.currency ? thread.budget.currency : 'USD',
+    deliveryDays,
+    coverLetter,
+  });
+
+  await createNotification({
+    userId: thread.createdBy,
+    type: 'new_proposal',
+    title: 'New proposal on your thread',
+    message: `${req.user.name} submitted a proposal on "${thread.title}"`,
+    data: {
+      threadId: thread._id,
+      proposalId: proposal._id,
+      fromUserId: req.user.id,
+      actionUrl: `/threads/${thread._id}/proposals`,
+    },
+  });
+
+  const populatedProposal = await Proposal.findById(proposal._id)
+    .populate('freelancer', 'username name image role reputation skills');
+
+  res.status(201).json({
+    success: true,
+    data: populatedProposal,
+  });
+});
+
+// @desc    Shortlist proposal
+// @route   PUT /api/threads/:id/proposals/:proposalId/shortlist
+// @access  Private (Thread owner only)
+const shortlistProposal = asyncHandler(async (req, res) => {
+  const loaded = await loadOwnedProposal(req, res);
+  if (!loaded) return;
+
+  const { thread, proposal } = loaded;
+
+  if (proposal.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot shortlist a ${proposal.status} proposal`,
+    });
+  }
+
+  proposal.status = 'shortlisted';
+  await proposal.save();
+
+  await createNotification({
+    userId: proposal.freelancer,
+    type: 'proposal_shortlisted',
+    title: 'Your proposal was shortlisted',
+    message: `Your proposal on "${thread.title}" was shortlisted`,
+    data: {
+      threadId: thread._id,
+      proposalId: proposal._id,
+      fromUserId: req.user.id,
+      actionUrl: `/threads/${thread._id}`,
+    },
+  });
+
+  res.json({
+    success: true,
+    data: proposal,
+  });
+});
+
+// @desc    Reject proposal
+// @route   PUT /api/threads/:id/proposals/:proposalId/reject
+// @access  Private (Thread owner only)
+const rejectProposal = asyncHandler(async (req, res) => {
+  const loaded = await loadOwnedProposal(req, res);
+  if (!loaded) return;
+
+  const { thread, proposal } = loaded;
+
+  if (!['pending', 'shortlisted'].includes(proposal.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot reject a ${proposal.status} proposal`,
+    });
+  }
+
+  // Conditional, so a reject racing an accept cannot undo it
+  const rejected = await Proposal.findOneAndUpdate(
+    { _id: proposal._id, status: { $in: ['pending', 'shortlisted'] } },
+    { status: 'rejected', decidedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!rejected) {
+    return res.status(400).json({
+      success: false,
+      message: 'This proposal has already been decided',
+    });
+  }
+
+  await createNotification({
+    userId: proposal.freelancer,
+    type: 'proposal_rejected',
+    title: 'Your proposal was declined',
+    message: `Your proposal on "${thread.title}" was declined`,
+    data: {
+      threadId: thread._id,
+      proposalId: proposal._id,
+      fromUserId: req.user.id,
+      actionUrl: `/threads/${thread._id}`,
+    },
+  });
+
+  res.json({
+    success: true,
+    data: rejected,
+  });
+});
+
+// @desc    Accept proposal
+// @route   PUT /api/threads/:id/proposals/:proposalId/accept
+// @access  Private (Thread owner only)
+const acceptProposal = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const loaded = await loadOwnedProposal(req, res);
+  if (!loaded) return;
+
+  const { thread, proposal } = loaded;
+
+  if (thread.status !== 'open') {
+    return res.status(400).json({
+      success: false,
+      message: 'A proposal has already been accepted on this thread',
+    });
+  }
+
+  if (!['pending', 'shortlisted'].includes(proposal.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot accept a ${proposal.status} proposal`,
+    });
+  }
+
+  // Milestones, when given, must add up to the agreed amount
+  const { milestones } = req.body;
+  if (milestones && milestones.length > 0) {
+    const milestonesTotal = milestones.reduce((sum, m) => sum + Number(m.amount), 0);
+    if (Math.abs(milestonesTotal - proposal.amount) > 0.005) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone amounts must add up to the proposal amount',
+      });
+    }
+  }
+
+  // Claim the proposal so a concurrent accept or reject cannot also decide it
+  const previousStatus = proposal.status;
+  const accepted = await Proposal.findOneAndUpdate(
+    { _id: proposal._id, status: { $in: ['pending', 'shortlisted'] } },
+    { status: 'accepted', decidedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!accepted) {
+    return res.status(400).json({
+      success: false,
+      message: 'This proposal has already been decided',
+    });
+  }
+
+  const restoreProposal = () => Proposal.updateOne(
+    { _id: proposal._id },
+    { status: previousStatus, $unset: { decidedAt: 1 } }
+  );
+
+  // One contract per thread (unique index), so of two accepts on the same
+  // thread only one gets past here
+  let contract;
+  try {
+    contract = await Contract.createFromProposal(thread, accepted, milestones);
+  } catch (error) {
+    await restoreProposal();
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A proposal has already been accepted on this thread',
+      });
+    }
+    throw error;
+  }
+
+  const hired = await Thread.findOneAndUpdate(
+    { _id: thread._id, status: 'open' },
+    { status: 'in-progress', hiredFreelancer: accepted.freelancer },
+    { new: true }
+  );
+
+  if (!hired) {
+    await contract.deleteOne();
+    await restoreProposal();
+
+    return res.status(400).json({
+      success: false,
+      message: 'A proposal has already been accepted on this thread',
+    });
+  }
+
+  // Every other open bid is closed out
+  const otherProposals = await Proposal.find({
+    thread: thread._id,
+    _id: { $ne: proposal._id },
+    status: { $in: ['pending', 'shortlisted'] },
+  });
+
+  await Proposal.updateMany(
+    { _id: { $in: otherProposals.map(p => p._id) } },
+    { status: 'rejected', decidedAt: Date.now() }
+  );
+
+  // Notify every bidder of the outcome
+  await createNotification({
+    userId: proposal.freelancer,
+    type: 'proposal_accepted',
+    title: 'Your proposal was accepted',
+    message: `Your proposal on "${thread.title}" was accepted`,
+    data: {
+      threadId: thread._id,
+      proposalId: proposal._id,
+      contractId: contract._id,
+      fromUserId: req.user.id,
+      actionUrl: `/contracts/${contract._id}`,
+    },
+  });
+
+  for (const other of otherProposals) {
+    await createNotification({
+      userId: other.freelancer,
+      type: 'proposal_rejected',
+      title: 'Your proposal was declined',
+      message: `Another proposal was accepted on "${thread.title}"`,
+      data: {
+        threadId: thread._id,
+        proposalId: other._id,
+        fromUserId: req.user.id,
+        actionUrl: `/threads/${thread._id}`,
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      proposal: accepted,
+      contract,
+    },
+  });
+});
+
+// @desc    Withdraw proposal
+// @route   DELETE /api/threads/:id/proposals/:proposalId
+// @access  Private (Proposal author only)
+const withdrawProposal = asyncHandler(async (req, res) => {
+  const proposal = await Proposal.findOne({
+    _id: req.params.proposalId,
+    thread: req.params.id,
+  });
+
+  if (!proposal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Proposal not found',
+    });
+  }
+
+  if (proposal.freelancer.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to withdraw this proposal',
+    });
+  }
+
+  if (!['pending', 'shortlisted'].includes(proposal.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot withdraw a ${proposal.status} proposal`,
+    });
+  }
+
+  const withdrawn = await Proposal.findOneAndUpdate(
+    { _id: proposal._id, status: { $in: ['pending', 'shortlisted'] } },
+    { status: 'withdrawn', decidedAt: Date.now() }
+  );
+
+  if (!withdrawn) {
+    return res.status(400).json({
+      success: false,
+      message: 'This proposal has already been decided',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Proposal withdrawn successfully',
+  });
+});
+
+module.exports = {
+  getProposals,
+  createProposal,
+  shortlistProposal,
+  rejectProposal,
+  acceptProposal,
+  withdrawProposal,
+};
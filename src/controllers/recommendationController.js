@@ -0,0 +1,71 @@
+const Thread = require('../models/Thread');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { recommendFreelancers, recommendThreads } = require('../utils/matchingService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get freelancers recommended for a thread
+// @route   GET /api/threads/:id/recommended-freelancers
+// @access  Private (Thread owner only)
+const getRecommendedFreelancers = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread || thread.isHidden) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  if (thread.createdBy.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the thread owner can see recommended freelancers',
+    });
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const recommendations = await recommendFreelancers(thread, { limit });
+
+  res.json({
+    success: true,
+    count: recommendations.length,
+    data: recommendations,
+  });
+});
+
+// @desc    Get open jobs recommended for the current freelancer
+// @route   GET /api/users/me/recommended-threads
+// @access  Private (Freelancer only)
+const getRecommendedThreads = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const recommendations = await recommendThreads(user, { limit });
+
+  res.json({
+    success: true,
+    count: recommendations.length,
+    data: recommendations,
+  });
+});
+
+module.exports = {
+  getRecommendedFreelancers,
+  getRecommendedThreads,
+};
@@ -0,0 +1,424 @@
+const Report = require('../models/Report');
+const Thread = require('../models/Thread');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const { revokeUserSessions } = require('../utils/sessionService');
+const { validationResult } = require('express-validator');
+
+const actionLabels = {
+  dismiss: 'reviewed and no action was needed',
+  hide_content: 'reviewed and the content has been removed',
+  lock_thread: 'reviewed and the thread has been locked',
+  warn_user: 'reviewed and the user has been warned',
+  suspend_user: 'reviewed and the user has been suspended',
+};
+
+// Look up the reported item, its author and its category. Returns null when
+// the item does not exist or the reporter cannot see it.
+const resolveTarget = async (targetType, targetId, userId) => {
+  switch (targetType) {
+    case 'thread': {
+      const thread = await Thread.findById(targetId);
+      if (!thread) return null;
+      return { doc: thread, targetUser: thread.createdBy, category: thread.category };
+    }
+    case 'comment': {
+      const comment = await Comment.findById(targetId);
+      if (!comment) return null;
+      const thread = await Thread.findById(comment.threadId);
+      return { doc: comment, targetUser: comment.userId, category: thread ? thread.category : null };
+    }
+    case 'message': {
+      const message = await Message.findById(targetId);
+      if (!message) return null;
+      // Only the two participants can see a message
+      if (![message.sender.toString(), message.receiver.toString()].includes(userId)) return null;
+      return { doc: message, targetUser: message.sender, category: null };
+    }
+    case 'user': {
+      const user = await User.findById(targetId);
+      if (!user) return null;
+      return { doc: user, targetUser: user._id, category: null };
+    }
+    default:
+      return null;
+  }
+};
+
+// Whether the moderator may act on the report
+const canHandle = (user, report) => {
+  return user.canModerate(report.category);
+};
+
+// @desc    Report content or a user
+// @route   POST /api/reports
+// @access  Private
+const createReport = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const { targetType, targetId, reason, details } = req.body;
+
+  const target = await resolveTarget(targetType, targetId, req.user.id);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reported item not found',
+    });
+  }
+
+  if (target.targetUser.toString() === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot report yourself',
+    });
+  }
+
+  const existingReport = await Report.findOne({
+    reporter: req.user.id,
+    targetType,
+    targetId,
+    status: { $ne: 'resolved' },
+  });
+
+  if (existingReport) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reported this',
+    });
+  }
+
+  const report = await Report.create({
+    targetType,
+    targetId,
+    targetUser: target.targetUser,
+    category: target.category,
+    reporter: req.user.id,
+    reason,
+    details,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: report,
+  });
+});
+
+// @desc    Get moderation queue
+// @route   GET /api/reports
+// @access  Private (Moderators only)
+const getReports = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  const query = {
+    status: req.query.status || { $in: ['open', 'claimed'] },
+  };
+
+  // Category moderators only see reports from their categories
+  if (req.user.staffRole === 'user') {
+    query.category = { $in: req.user.moderatorOf };
+  }
+
+  if (req.query.reason) {
+    query.reason = req.query.reason;
+  }
+
+  if (req.query.targetType) {
+    query.targetType = req.query.targetType;
+  }
+
+  if (req.query.category && !query.category) {
+    query.category = req.query.category;
+  }
+
+  if (req.query.claimedBy === 'me') {
+    query.claimedBy = req.user.id;
+  } else if (req.query.claimedBy === 'none') {
+    query.claimedBy = null;
+  }
+
+  const reports = await Report.find(query)
+    .populate('reporter', 'username name image')
+    .populate('targetUser', 'username name image isActive')
+    .populate('claimedBy', 'username name')
+    .populate('category', 'name slug')
+    .sort({ createdAt: 1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await Report.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: reports.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: reports,
+  });
+});
+
+// @desc    Get single report with the reported content
+// @route   GET /api/reports/:id
+// @access  Private (Moderators only)
+const getReport = asyncHandler(async (req, res) => {
+  const report = await Report.findById(req.params.id)
+    .populate('reporter', 'username name image')
+    .populate('targetUser', 'username name image isActive')
+    .populate('claimedBy', 'username name')
+    .populate('resolution.resolvedBy', 'username name')
+    .populate('category', 'name slug');
+
+  if (!report || !canHandle(req.user, { category: report.category && report.category._id })) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  const models = { thread: Thread, comment: Comment, message: Message, user: User };
+  const target = await models[report.targetType].findById(report.targetId);
+
+  // Other reports against the same item
+  const relatedCount = await Report.countDocuments({
+    targetType: report.targetType,
+    targetId: report.targetId,
+    _id: { $ne: report._id },
+  });
+
+  res.json({
+    success: true,
+    data: {
+      report,
+      target,
+      relatedCount,
+    },
+  });
+});
+
+// @desc    Claim report
+// @route   PUT /api/reports/:id/claim
+// @access  Private (Moderators only)
+const claimReport = asyncHandler(async (req, res) => {
+  const report = await Report.findById(req.params.id);
+
+  if (!report || !canHandle(req.user, report)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  // Conditional on the report still being open (or already ours), so two
+  // moderators cannot both claim it
+  const claimed = await Report.findOneAndUpdate(
+    {
+      _id: report._id,
+      $or: [
+        { status: 'open' },
+        { status: 'claimed', claimedBy: req.user.id },
+      ],
+    },
+    { status: 'claimed', claimedBy: req.user.id, claimedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await Report.findById(report._id);
+
+    return res.status(400).json({
+      success: false,
+      message: current && current.status === 'resolved'
+        ? 'Report has already been resolved'
+        : 'Report has already been claimed by another moderator',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: claimed,
+  });
+});
+
+// @desc    Resolve report
+// @route   PUT /api/reports/:id/resolve
+// @access  Private (Moderators only)
+const resolveReport = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report || !canHandle(req.user, report)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found',
+    });
+  }
+
+  if (report.status === 'resolved') {
+    return res.status(400).json({
+      success: false,
+      message: 'Report has already been resolved',
+    });
+  }
+
+  if (report.status === 'claimed' && report.claimedBy.toString() !== req.user.id && req.user.staffRole !== 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'Report has been claimed by another moderator',
+    });
+  }
+
+  const { action, note } = req.body;
+
+  switch (action) {
+    case 'hide_content': {
+      const models = { thread: Thread, comment: Comment, message: Message };
+      if (!models[report.targetType]) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only threads, comments and messages can be hidden',
+        });
+      }
+      await models[report.targetType].findByIdAndUpdate(report.targetId, { isHidden: true });
+      break;
+    }
+    case 'lock_thread': {
+      let threadId = null;
+      if (report.targetType === 'thread') {
+        threadId = report.targetId;
+      } else if (report.targetType === 'comment') {
+        const comment = await Comment.findById(report.targetId);
+        threadId = comment && comment.threadId;
+      }
+
+      if (!threadId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only threads and comments can lead to a thread lock',
+        });
+      }
+
+      await Thread.findByIdAndUpdate(threadId, {
+        isLocked: true,
+        lockReason: note || 'Locked by a moderator',
+        lockedBy: req.user.id,
+        lockedAt: Date.now(),
+      }, {
+        runValidators: true,
+      });
+      break;
+    }
+    case 'warn_user':
+      await createNotification({
+        userId: report.targetUser,
+        type: 'moderation_warning',
+        title: 'Warning from the moderators',
+        message: note || 'Your content was reported and found to break the community rules',
+        data: {
+          fromUserId: req.user.id,
+        },
+      });
+      break;
+    case 'suspend_user': {
+      // Category moderators cannot suspend accounts
+      if (req.user.staffRole === 'user') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only site moderators can suspend users',
+        });
+      }
+
+      const targetUser = await User.findById(report.targetUser).select('+staffRole');
+      if (!targetUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'The reported user no longer exists',
+        });
+      }
+
+      if (targetUser.staffRole !== 'user') {
+        return res.status(400).json({
+          success: false,
+          message: 'Staff accounts cannot be suspended from the queue',
+        });
+      }
+
+      targetUser.isActive = false;
+      await targetUser.save();
+      await revokeUserSessions(targetUser._id, null, req.app.get('io'));
+      break;
+    }
+    default:
+      break;
+  }
+
+  // Close every outstanding report on the same item with this outcome
+  const resolved = await Report.find({
+    targetType: report.targetType,
+    targetId: report.targetId,
+    status: { $ne: 'resolved' },
+  });
+
+  await Report.updateMany(
+    { _id: { $in: resolved.map(r => r._id) } },
+    {
+      status: 'resolved',
+      resolution: {
+        action,
+        note,
+        resolvedBy: req.user.id,
+        resolvedAt: Date.now(),
+      },
+    }
+  );
+
+  for (const resolvedReport of resolved) {
+    await createNotification({
+      userId: resolvedReport.reporter,
+      type: 'report_update',
+      title: 'Your report was reviewed',
+      message: `Thanks for your report. It was ${actionLabels[action]}.`,
+      data: {
+        fromUserId: req.user.id,
+      },
+    });
+  }
+
+  const updatedReport = await Report.findById(report._id)
+    .populate('resolution.resolvedBy', 'username name');
+
+  res.json({
+    success: true,
+    count: resolved.length,
+    data: updatedReport,
+  });
+});
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport,
+};
@@ -0,0 +1,191 @@
+const Review = require('../models/Review');
+const Thread = require('../models/Thread');
+const Contract = require('../models/Contract');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const { validationResult } = require('express-validator');
+
+// Days both sides have to review after a thread completes
+const reviewWindowDays = () => parseInt(process.env.REVIEW_WINDOW_DAYS, 10) || 14;
+
+// @desc    Get reviews for a thread
+// @route   GET /api/threads/:id/reviews
+// @access  Public
+const getThreadReviews = asyncHandler(async (req, res) => {
+  const reviews = await Review.find({ thread: req.params.id, isVisible: true })
+    .populate('reviewer', 'username name image role')
+    .populate('reviewee', 'username name image role')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    data: reviews,
+  });
+});
+
+// @desc    Leave a review on a completed thread
+// @route   POST /api/threads/:id/reviews
+// @access  Private (Thread client or hired freelancer)
+const createReview = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  if (thread.status !== 'completed' || !thread.hiredFreelancer) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reviews can only be left on completed jobs',
+    });
+  }
+
+  const clientId = thread.createdBy.toString();
+  const freelancerId = thread.hiredFreelancer.toString();
+
+  let reviewee;
+  let revieweeRole;
+  if (req.user.id === clientId) {
+    reviewee = freelancerId;
+    revieweeRole = 'freelancer';
+  } else if (req.user.id === freelancerId) {
+    reviewee = clientId;
+    revieweeRole = 'client';
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the client and hired freelancer can review this job',
+    });
+  }
+
+  // The window runs from when the work was completed. Threads completed
+  // before that was recorded get their window from the first attempt.
+  const contract = await Contract.findOne({ thread: thread._id });
+  let completedAt = (contract && contract.completedAt) || thread.completedAt;
+  if (!completedAt) {
+    completedAt = new Date();
+    await Thread.updateOne({ _id: thread._id, completedAt: null }, { completedAt });
+  }
+  const revealAt = new Date(completedAt.getTime() + reviewWindowDays() * 24 * 60 * 60 * 1000);
+
+  if (revealAt <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'The review window for this job has closed',
+    });
+  }
+
+  const existingReview = await Review.findOne({ thread: thread._id, reviewer: req.user.id });
+  if (existingReview) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reviewed this job',
+    });
+  }
+
+  const review = await Review.create({
+    thread: thread._id,
+    reviewer: req.user.id,
+    reviewee,
+    revieweeRole,
+    rating: req.body.rating,
+    body: req.body.body,
+    revealAt,
+  });
+
+  // Once both sides have submitted, reveal them together
+  const counterpart = await Review.findOne({ thread: thread._id, reviewer: reviewee });
+  if (counterpart) {
+    await Review.updateMany(
+      { _id: { $in: [review._id, counterpart._id] } },
+      { isVisible: true, revealedAt: Date.now() }
+    );
+    review.isVisible = true;
+
+    await Review.updateUserRating(reviewee);
+    await Review.updateUserRating(req.user.id);
+  }
+
+  await createNotification({
+    userId: reviewee,
+    type: 'new_review',
+    title: 'You received a review',
+    message: counterpart
+      ? `${req.user.name} reviewed your work on "${thread.title}"`
+      : `${req.user.name} reviewed your work on "${thread.title}". Leave your own review to see it.`,
+    data: {
+      threadId: thread._id,
+      fromUserId: req.user.id,
+      actionUrl: `/threads/${thread._id}/reviews`,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: review,
+  });
+});
+
+// @desc    Get reviews a user has received
+// @route   GET /api/users/:username/reviews
+// @access  Public
+const getUserReviews = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  const user = await User.findOne({ username: req.params.username });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const query = { reviewee: user._id, isVisible: true };
+
+  if (req.query.role) {
+    query.revieweeRole = req.query.role;
+  }
+
+  const reviews = await Review.find(query)
+    .populate('reviewer', 'username name image role')
+    .populate('thread', 'title slug')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await Review.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: reviews,
+  });
+});
+
+module.exports = {
+  getThreadReviews,
+  createReview,
+  getUserReviews,
+};
@@ -0,0 +1,76 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { resolveTags } = require('../utils/tagService');
+const {
+  searchThreads,
+  searchComments,
+  searchUsers,
+  threadFacets,
+} = require('../utils/searchService');
+const { validationResult } = require('express-validator');
+
+const searchers = {
+  threads: searchThreads,
+  comments: searchComments,
+  users: searchUsers,
+};
+
+// @desc    Search threads, comments and users
+// @route   GET /api/search
+// @access  Public
+const search = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  const q = req.query.q.trim();
+  const types = req.query.type ? [req.query.type] : Object.keys(searchers);
+
+  const options = {
+    category: req.query.category,
+    status: req.query.status,
+    tag: req.query.tag && (await resolveTags([req.query.tag], { create: false }))[0],
+    limit,
+    skip: startIndex,
+  };
+
+  const data = {};
+  const totals = {};
+
+  for (const type of types) {
+    const { total, results } = await searchers[type](q, options);
+    data[type] = results;
+    totals[type] = total;
+  }
+
+  // Facets only describe threads
+  const facets = types.includes('threads') ? await threadFacets(q) : null;
+
+  const largestTotal = Math.max(...Object.values(totals));
+
+  res.json({
+    success: true,
+    query: q,
+    count: Object.values(data).reduce((sum, results) => sum + results.length, 0),
+    totals,
+    pagination: {
+      page,
+      limit,
+      total: largestTotal,
+      pages: Math.ceil(largestTotal / limit),
+    },
+    facets,
+    data,
+  });
+});
+
+module.exports = {
+  search,
+};
@@ -0,0 +1,303 @@
+const Tag = require('../models/Tag');
+const Thread = require('../models/Thread');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { paginate } = require('../utils/pagination');
+const { escapeRegex } = require('../utils/helpers');
+const { setAliases, mergeTags } = require('../utils/tagService');
+const { validationResult } = require('express-validator');
+
+// Find a tag by its name or one of its aliases
+const findTag = (name) => {
+  const normalized = Tag.normalize(name);
+  return Tag.findOne({ $or: [{ name: normalized }, { aliases: normalized }] });
+};
+
+// @desc    Get all tags
+// @route   GET /api/tags
+// @access  Public
+const getTags = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  let sortBy = { usageCount: -1 };
+  if (req.query.sort === 'name') {
+    sortBy = { name: 1 };
+  } else if (req.query.sort === 'newest') {
+    sortBy = { createdAt: -1 };
+  }
+
+  const { results: tags, pagination } = await paginate(
+    Tag.find({ usageCount: { $gt: 0 } }),
+    req.query,
+    { sort: sortBy, defaultLimit: 50 }
+  );
+
+  res.json({
+    success: true,
+    count: tags.length,
+    pagination,
+    data: tags,
+  });
+});
+
+// @desc    Suggest tags for a prefix
+// @route   GET /api/tags/autocomplete
+// @access  Public
+const autocompleteTags = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const prefix = Tag.normalize(req.query.q);
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  if (!prefix) {
+    return res.json({
+      success: true,
+      count: 0,
+      data: [],
+    });
+  }
+
+  const pattern = new RegExp(`^${escapeRegex(prefix)}`);
+
+  const tags = await Tag.find({ $or: [{ name: pattern }, { aliases: pattern }] })
+    .select('name aliases usageCount')
+    .sort({ usageCount: -1, name: 1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    count: tags.length,
+    data: tags.map(tag => ({
+      _id: tag._id,
+      name: tag.name,
+      usageCount: tag.usageCount,
+      // The alias that matched, so clients can show "reactjs → react"
+      matchedAlias: pattern.test(tag.name) ? null : tag.aliases.find(alias => pattern.test(alias)),
+    })),
+  });
+});
+
+// @desc    Get trending tags
+// @route   GET /api/tags/trending
+// @access  Public
+const getTrendingTags = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const days = parseInt(req.query.days, 10) || 7;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const trending = await Thread.aggregate([
+    { $match: { createdAt: { $gte: since }, isHidden: { $ne: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', threads: { $sum: 1 } } },
+    { $sort: { threads: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  const tags = await Tag.find({ name: { $in: trending.map(t => t._id) } });
+
+  res.json({
+    success: true,
+    count: trending.length,
+    days,
+    data: trending.map(entry => {
+      const tag = tags.find(t => t.name === entry._id);
+      return {
+        _id: tag ? tag._id : null,
+        name: entry._id,
+        threads: entry.threads,
+        usageCount: tag ? tag.usageCount : entry.threads,
+        followersCount: tag ? tag.followersCount : 0,
+      };
+    }),
+  });
+});
+
+// @desc    Get tags the current user follows
+// @route   GET /api/tags/following
+// @access  Private
+const getFollowedTags = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .select('+tagsFollowed')
+    .populate('tagsFollowed', 'name usageCount followersCount');
+
+  res.json({
+    success: true,
+    count: user.tagsFollowed.length,
+    data: user.tagsFollowed,
+  });
+});
+
+// @desc    Get single tag
+// @route   GET /api/tags/:name
+// @access  Public
+const getTag = asyncHandler(async (req, res) => {
+  const tag = await findTag(req.params.name);
+
+  if (!tag) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+  }
+
+  const recentThreads = await Thread.find({ tags: tag.name, isHidden: { $ne: true } })
+    .populate('createdBy', 'username name image role')
+    .populate('category', 'name color icon')
+    .sort({ createdAt: -1 })
+    .limit(10);
+
+  res.json({
+    success: true,
+    data: {
+      tag,
+      recentThreads,
+    },
+  });
+});
+
+// @desc    Follow/Unfollow tag
+// @route   POST /api/tags/:name/follow
+// @access  Private
+const followTag = asyncHandler(async (req, res) => {
+  const tag = await findTag(req.params.name);
+
+  if (!tag) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+  }
+
+  const currentUser = await User.findById(req.user.id).select('+tagsFollowed');
+  const isFollowing = currentUser.tagsFollowed.some(id => id.equals(tag._id));
+
+  // The counter only moves when the user's list actually changed, so
+  // repeated or concurrent requests cannot push it out of step
+  if (isFollowing) {
+    // Unfollow
+    const result = await User.updateOne({ _id: req.user.id }, {
+      $pull: { tagsFollowed: tag._id },
+    });
+    if (result.modifiedCount === 1) {
+      await Tag.findByIdAndUpdate(tag._id, { $inc: { followersCount: -1 } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag unfollowed successfully',
+      isFollowing: false,
+    });
+  } else {
+    // Follow
+    const result = await User.updateOne({ _id: req.user.id }, {
+      $addToSet: { tagsFollowed: tag._id },
+    });
+    if (result.modifiedCount === 1) {
+      await Tag.findByIdAndUpdate(tag._id, { $inc: { followersCount: 1 } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag followed successfully',
+      isFollowing: true,
+    });
+  }
+});
+
+// @desc    Update tag description and aliases
+// @route   PUT /api/tags/:name
+// @access  Private (Site moderators only)
+const updateTag = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const tag = await findTag(req.params.name);
+
+  if (!tag) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+  }
+
+  if (req.body.description !== undefined) {
+    tag.description = req.body.description;
+  }
+
+  if (req.body.aliases) {
+    await setAliases(tag, req.body.aliases);
+  }
+
+  await tag.save();
+
+  res.json({
+    success: true,
+    data: tag,
+  });
+});
+
+// @desc    Merge tag into another tag
+// @route   POST /api/tags/:name/merge
+// @access  Private (Site moderators only)
+const mergeTag = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const source = await findTag(req.params.name);
+  const target = await findTag(req.body.into);
+
+  if (!source || !target) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+  }
+
+  const merged = await mergeTags(source, target);
+
+  res.json({
+    success: true,
+    data: merged,
+  });
+});
+
+module.exports = {
+  getTags,
+  autocompleteTags,
+  getTrendingTags,
+  getFollowedTags,
+  getTag,
+  followTag,
+  updateTag,
+  mergeTag,
+};
@@ -2,42 +2,44 @@ const Thread = require('../models/Thread');
 const Category = require('../models/Category');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const Contract = require('../models/Contract');
 const asyncHandler = require('../utils/asyncHandler');
+const { createNotification } = require('../utils/notificationService');
+const reputationService = require('../utils/reputationService');
+const { parseThreadFilters } = require('../utils/threadFilters');
+const { paginate } = require('../utils/pagination');
+const { resolveTags, updateUsage, notifyFollowers } = require('../utils/tagService');
+const { resolveMentions, notifyMentions } = require('../utils/mentionService');
+const { removeAttachedTo } = require('../utils/uploadService');
 const { validationResult } = require('express-validator');
 
+const mentionNotification = (thread, author) => ({
+  type: 'thread_mention',
+  title: 'You were mentioned in a thread',
+  message: `${author.name} mentioned you in "${thread.title}"`,
+  data: {
+    threadId: thread._id,
+    fromUserId: author.id,
+    actionUrl: `/threads/${thread._id}`,
+  },
+});
+
 // @desc    Get all threads
 // @route   GET /api/threads
 // @access  Public
 const getThreads = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const startIndex = (page - 1) * limit;
-
-  // Build query
-  let query = Thread.find();
-
-  // Filter by category
-  if (req.query.category) {
-    query = query.where('category').equals(req.query.category);
-  }
-
-  // Filter by status
-  if (req.query.status) {
-    query = query.where('status').equals(req.query.status);
-  }
-
-  // Search
-  if (req.query.search) {
-    query = query.where({
-      $or: [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } },
-      ],
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
     });
   }
 
+  // Build query (hidden threads are removed by moderators)
+  const filters = await parseThreadFilters(req.query);
+  const query = Thread.getFilteredThreads(filters);
+
   // Sort
   let sortBy = '-createdAt';
   if (req.query.sort) {
@@ -57,24 +59,21 @@ const getThreads = asyncHandler(async (req, res) => {
     }
   }
 
-  const threads = await query
-    .populate('createdBy', 'username name image role reputation')
-    .populate('category', 'name color icon')
-    .sort(sortBy)
-    .limit(limit * 1)
-    .skip(startIndex);
+  // Pinned threads always come first
+  sortBy = `-isPinned ${sortBy}`;
 
-  const total = await Thread.countDocuments(query.getQuery());
+  const { results: threads, pagination } = await paginate(
+    query
+      .populate('createdBy', 'username name image role reputation')
+      .populate('category', 'name color icon'),
+    req.query,
+    { sort: sortBy }
+  );
 
   res.json({
     success: true,
     count: threads.length,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit),
-    },
+    pagination,
     data: threads,
   });
 });
@@ -85,21 +84,22 @@ const getThreads = asyncHandler(async (req, res) => {
 const getThread = asyncHandler(async (req, res) => {
   const thread = await Thread.findById(req.params.id)
     .populate('createdBy', 'username name image role bio reputation')
-    .populate('category', 'name description color icon');
+    .populate('category', 'name description color icon')
+    .populate('mentions', 'username name');
 
-  if (!thread) {
+  if (!thread || thread.isHidden) {
     return res.status(404).json({
       success: false,
       message: 'Thread not found',
     });
   }
 
-  // Increment views
+  // Increment views without touching updatedAt
+  await Thread.updateOne({ _id: thread._id }, { $inc: { views: 1 } }, { timestamps: false });
   thread.views += 1;
-  await thread.save();
 
   // Get comments
-  const comments = await Comment.find({ threadId: thread._id, parentId: null })
+  const comments = await Comment.find({ threadId: thread._id, parentId: null, isHidden: { $ne: true } })
     .populate('userId', 'username name image role reputation')
     .populate({
       path: 'mentions',
@@ -109,7 +109,7 @@ const getThread = asyncHandler(async (req, res) => {
 
   // Get replies for each comment
   for (let comment of comments) {
-    const replies = await Comment.find({ parentId: comment._id })
+    const replies = await Comment.find({ parentId: comment._id, isHidden: { $ne: true } })
       .populate('userId', 'username name image role reputation')
       .sort('createdAt');
     comment.replies = replies;
@@ -152,7 +152,9 @@ const createThread = asyncHandler(async (req, res) => {
     description,
     category: categoryId,
     createdBy: req.user.id,
-    tags: tags || [],
+    authorRole: req.user.role,
+    tags: await resolveTags(tags),
+    mentions: await resolveMentions(description, req.user.id),
     budget,
     deadline,
     priority: priority || 'medium',
@@ -163,6 +165,15 @@ const createThread = asyncHandler(async (req, res) => {
     $inc: { threadsCount: 1 },
   });
 
+  await updateUsage([], thread.tags);
+  await notifyFollowers(thread, req.user);
+  await notifyMentions(thread.mentions, [], mentionNotification(thread, req.user));
+
+  // Authors follow their own threads
+  await User.findByIdAndUpdate(req.user.id, {
+    $addToSet: { threadsFollowed: thread._id },
+  });
+
   // Populate the created thread
   const populatedThread = await Thread.findById(thread._id)
     .populate('createdBy', 'username name image role')
@@ -178,6 +189,14 @@ const createThread = asyncHandler(async (req, res) => {
 // @route   PUT /api/threads/:id
 // @access  Private
 const updateThread = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
   let thread = await Thread.findById(req.params.id);
 
   if (!thread) {
@@ -204,12 +223,54 @@ const updateThread = asyncHandler(async (req, res) => {
     }
   });
 
-  thread = await Thread.findByIdAndUpdate(req.params.id, updates, {
+  // Once someone is hired the status follows the contract and its
+  // milestones, so the owner can only open or close unhired threads
+  const filter = { _id: req.params.id };
+  if (updates.status && updates.status !== thread.status) {
+    if (thread.hiredFreelancer || await Contract.exists({ thread: thread._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The status of a hired job follows its contract',
+      });
+    }
+
+    filter.status = thread.status;
+    filter.hiredFreelancer = null;
+  }
+
+  const previousTags = thread.tags;
+  if (updates.tags) {
+    updates.tags = await resolveTags(updates.tags);
+  }
+
+  const previousMentions = thread.mentions;
+  if (updates.description !== undefined) {
+    updates.mentions = await resolveMentions(updates.description, req.user.id);
+  }
+
+  thread = await Thread.findOneAndUpdate(filter, updates, {
     new: true,
     runValidators: true,
   }).populate('createdBy', 'username name image role')
    .populate('category', 'name color icon');
 
+  // A proposal was accepted while the status change was in flight
+  if (!thread) {
+    return res.status(400).json({
+      success: false,
+      message: 'Thread status has changed, please reload and try again',
+    });
+  }
+
+  if (updates.tags) {
+    await updateUsage(previousTags, thread.tags);
+  }
+
+  // Only users added by the edit hear about it
+  if (updates.mentions) {
+    await notifyMentions(thread.mentions, previousMentions, mentionNotification(thread, req.user));
+  }
+
   res.json({
     success: true,
     data: thread,
@@ -237,14 +298,18 @@ const deleteThread = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete all comments
+  // Delete all comments and their files
+  const commentIds = await Comment.find({ threadId: thread._id }).distinct('_id');
   await Comment.deleteMany({ threadId: thread._id });
+  await removeAttachedTo('comment', commentIds);
 
   // Update category thread count
   await Category.findByIdAndUpdate(thread.category, {
     $inc: { threadsCount: -1 },
   });
 
+  await updateUsage(thread.tags, []);
+
   await thread.deleteOne();
 
   res.json({
@@ -278,6 +343,8 @@ const voteThread = asyncHandler(async (req, res) => {
   const existingVote = thread.votedBy.find(
     vote => vote.user.toString() === req.user.id
   );
+  const previousVote = existingVote ? existingVote.voteType : null;
+  const nextVote = previousVote === voteType ? null : voteType;
 
   if (existingVote) {
     if (existingVote.voteType === voteType) {
@@ -318,7 +385,7 @@ const voteThread = asyncHandler(async (req, res) => {
 
     // Create notification for thread owner (only for upvotes)
     if (voteType === 'up' && thread.createdBy.toString() !== req.user.id) {
-      await Notification.create({
+      await createNotification({
         userId: thread.createdBy,
         type: 'thread_upvote',
         title: 'Your thread received an upvote',
@@ -334,6 +401,16 @@ const voteThread = asyncHandler(async (req, res) => {
 
   await thread.save();
 
+  // Update the author's reputation
+  await reputationService.applyVote({
+    target: 'thread',
+    user: thread.createdBy,
+    actor: req.user.id,
+    previous: previousVote,
+    next: nextVote,
+    thread: thread._id,
+  });
+
   res.json({
     success: true,
     upvotes: thread.upvotes,
@@ -382,6 +459,237 @@ const bookmarkThread = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Follow/Unfollow thread
+// @route   POST /api/threads/:id/follow
+// @access  Private
+const followThread = asyncHandler(async (req, res) => {
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread || thread.isHidden) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  const currentUser = await User.findById(req.user.id);
+  const isFollowing = currentUser.threadsFollowed.some(id => id.equals(thread._id));
+
+  if (isFollowing) {
+    // Unfollow
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { threadsFollowed: thread._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread unfollowed',
+      isFollowing: false,
+    });
+  } else {
+    // Follow (and unmute)
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { threadsFollowed: thread._id },
+      $pull: { threadsMuted: thread._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread followed',
+      isFollowing: true,
+    });
+  }
+});
+
+// @desc    Mute/Unmute thread
+// @route   POST /api/threads/:id/mute
+// @access  Private
+const muteThread = asyncHandler(async (req, res) => {
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread || thread.isHidden) {
+    return res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+  }
+
+  const currentUser = await User.findById(req.user.id).select('+threadsMuted');
+  const isMuted = currentUser.threadsMuted.some(id => id.equals(thread._id));
+
+  if (isMuted) {
+    // Unmute
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { threadsMuted: thread._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread unmuted',
+      isMuted: false,
+    });
+  } else {
+    // Mute (which also stops following)
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { threadsMuted: thread._id },
+      $pull: { threadsFollowed: thread._id },
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread muted',
+      isMuted: true,
+    });
+  }
+});
+
+// Load a thread for a moderator action, checking the moderator covers its
+// category. Sends the error response itself and returns null on failure.
+const loadModeratedThread = async (req, res) => {
+  const thread = await Thread.findById(req.params.id);
+
+  if (!thread) {
+    res.status(404).json({
+      success: false,
+      message: 'Thread not found',
+    });
+    return null;
+  }
+
+  if (!req.user.canModerate(thread.category)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to moderate this thread',
+    });
+    return null;
+  }
+
+  return thread;
+};
+
+// @desc    Pin/Unpin thread
+// @route   PUT /api/threads/:id/pin
+// @access  Private (Moderators only)
+const pinThread = asyncHandler(async (req, res) => {
+  const thread = await loadModeratedThread(req, res);
+  if (!thread) return;
+
+  thread.isPinned = !thread.isPinned;
+  await thread.save();
+
+  res.json({
+    success: true,
+    message: thread.isPinned ? 'Thread pinned' : 'Thread unpinned',
+    isPinned: thread.isPinned,
+  });
+});
+
+// @desc    Lock/Unlock thread
+// @route   PUT /api/threads/:id/lock
+// @access  Private (Moderators only)
+const lockThread = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const thread = await loadModeratedThread(req, res);
+  if (!thread) return;
+
+  if (thread.isLocked) {
+    // Unlock
+    thread.isLocked = false;
+    thread.lockReason = undefined;
+    thread.lockedBy = undefined;
+    thread.lockedAt = undefined;
+  } else {
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to lock a thread',
+      });
+    }
+
+    thread.isLocked = true;
+    thread.lockReason = req.body.reason;
+    thread.lockedBy = req.user.id;
+    thread.lockedAt = Date.now();
+  }
+
+  await thread.save();
+
+  res.json({
+    success: true,
+    message: thread.isLocked ? 'Thread locked' : 'Thread unlocked',
+    isLocked: thread.isLocked,
+    lockReason: thread.lockReason,
+  });
+});
+
+// @desc    Move thread to another category
+// @route   PUT /api/threads/:id/move
+// @access  Private (Moderators only)
+const moveThread = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const thread = await loadModeratedThread(req, res);
+  if (!thread) return;
+
+  const { categoryId } = req.body;
+
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found',
+    });
+  }
+
+  if (!req.user.canModerate(category._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to move threads into this category',
+    });
+  }
+
+  if (thread.category.toString() === categoryId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Thread is already in this category',
+    });
+  }
+
+  const previousCategory = thread.category;
+  thread.category = category._id;
+  await thread.save();
+
+  // Update both categories' thread counts
+  await Category.findByIdAndUpdate(previousCategory, {
+    $inc: { threadsCount: -1 },
+  });
+  await Category.findByIdAndUpdate(category._id, {
+    $inc: { threadsCount: 1 },
+  });
+
+  const populatedThread = await Thread.findById(thread._id)
+    .populate('createdBy', 'username name image role')
+    .populate('category', 'name color icon');
+
+  res.json({
+    success: true,
+    data: populatedThread,
+  });
+});
+
 module.exports = {
   getThreads,
   getThread,
@@ -390,4 +698,9 @@ module.exports = {
   deleteThread,
   voteThread,
   bookmarkThread,
+  followThread,
+  muteThread,
+  pinThread,
+  lockThread,
+  moveThread,
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+const Attachment = require('../models/Attachment');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Thread = require('../models/Thread');
+const PortfolioItem = require('../models/PortfolioItem');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  getQuota,
+  storeUploads,
+  openDownload,
+  removeUpload,
+} = require('../utils/uploadService');
+
+// Whether the user may download an attachment. Unattached files are only
+// visible to their owner, message files only to the two participants, and
+// portfolio images to anyone.
+const canAccess = async (attachment, user) => {
+  if (attachment.owner.toString() === user.id) return true;
+
+  const { kind, id } = attachment.attachedTo || {};
+
+  if (kind === 'message') {
+    const message = await Message.findById(id);
+    if (!message) return false;
+    return [message.sender.toString(), message.receiver.toString()].includes(user.id);
+  }
+
+  if (kind === 'portfolio') {
+    return Boolean(await PortfolioItem.exists({ _id: id }));
+  }
+
+  if (kind === 'comment') {
+    const comment = await Comment.findById(id);
+    if (!comment) return false;
+    if (!comment.isHidden) return true;
+
+    // Hidden comments stay visible to moderators
+    const thread = await Thread.findById(comment.threadId);
+    return user.canModerate(thread && thread.category);
+  }
+
+  return false;
+};
+
+// @desc    Upload files for comment or message attachments
+// @route   POST /api/uploads
+// @access  Private
+const uploadFiles = asyncHandler(async (req, res) => {
+  const attachments = await storeUploads(req.user.id, req.files);
+
+  res.status(201).json({
+    success: true,
+    count: attachments.length,
+    data: attachments,
+  });
+});
+
+// @desc    Get upload quota usage
+// @route   GET /api/uploads/quota
+// @access  Private
+const getUploadQuota = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getQuota(req.user.id),
+  });
+});
+
+// @desc    Get current user's uploads
+// @route   GET /api/uploads
+// @access  Private
+const getUploads = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  const query = { owner: req.user.id };
+
+  if (req.query.attached === 'false') {
+    query['attachedTo.id'] = null;
+  } else if (req.query.attached === 'true') {
+    query['attachedTo.id'] = { $ne: null };
+  }
+
+  const attachments = await Attachment.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await Attachment.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: attachments.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: attachments,
+  });
+});
+
+// @desc    Download file
+// @route   GET /api/uploads/:id
+// @access  Private (Owner, or anyone who can see the comment/message/portfolio)
+const downloadFile = asyncHandler(async (req, res) => {
+  const attachment = await Attachment.findById(req.params.id);
+
+  if (!attachment || !(await canAccess(attachment, req.user))) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found',
+    });
+  }
+
+  const stream = await openDownload(attachment);
+
+  stream.on('error', () => {
+    if (!res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    } else {
+      res.destroy();
+    }
+  });
+
+  // Images are shown inline; everything else is downloaded
+  if (attachment.mimetype.startsWith('image/')) {
+    res.set('Content-Disposition', 'inline');
+  } else {
+    res.attachment(attachment.originalName);
+  }
+
+  res.set({
+    'Content-Type': attachment.mimetype,
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600',
+  });
+
+  stream.pipe(res);
+});
+
+// @desc    Delete an unattached upload
+// @route   DELETE /api/uploads/:id
+// @access  Private (Owner only)
+const deleteUpload = asyncHandler(async (req, res) => {
+  const attachment = await Attachment.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found',
+    });
+  }
+
+  if (attachment.attachedTo && attachment.attachedTo.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Files attached to a comment, message or portfolio item cannot be deleted',
+    });
+  }
+
+  await removeUpload(attachment);
+
+  res.json({
+    success: true,
+    message: 'File deleted successfully',
+  });
+});
+
+module.exports = {
+  uploadFiles,
+  getUploadQuota,
+  getUploads,
+  downloadFile,
+  deleteUpload,
+};
@@ -1,15 +1,32 @@
 const User = require('../models/User');
 const Thread = require('../models/Thread');
 const Comment = require('../models/Comment');
+const Review = require('../models/Review');
+const PortfolioItem = require('../models/PortfolioItem');
+const Endorsement = require('../models/Endorsement');
 const asyncHandler = require('../utils/asyncHandler');
+const { paginate } = require('../utils/pagination');
+const { createNotification } = require('../utils/notificationService');
+const {
+  haveInteracted,
+  findListedSkill,
+  syncEndorsementCounts,
+  endorsementCountPath,
+  getEndorsementSummary,
+} = require('../utils/endorsementService');
+const { validationResult } = require('express-validator');
 
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Public
 const getUsers = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const startIndex = (page - 1) * limit;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
 
   const query = { isActive: true };
   
@@ -18,31 +35,36 @@ const getUsers = asyncHandler(async (req, res) => {
     query.role = req.query.role;
   }
 
-  // Search by name or username
+  // Search by name, username, skills or bio (uses the user text index)
   if (req.query.search) {
-    query.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { username: { $regex: req.query.search, $options: 'i' } },
-    ];
+    query.$text = { $search: req.query.search };
   }
 
-  const users = await User.find(query)
-    .select('-password')
-    .sort({ reputation: -1, createdAt: -1 })
-    .limit(limit * 1)
-    .skip(startIndex);
+  // Freelancers endorsed for a skill (or one of its aliases)
+  let endorsedPath = null;
+  if (req.query.endorsedSkill) {
+    endorsedPath = await endorsementCountPath(req.query.endorsedSkill);
+    query.role = req.query.role || 'freelancer';
+    query[endorsedPath] = { $gte: 1 };
+  }
 
-  const total = await User.countDocuments(query);
+  let sortBy = { reputation: -1, createdAt: -1 };
+  if (req.query.sort === 'rating') {
+    sortBy = { 'rating.average': -1, 'rating.count': -1, createdAt: -1 };
+  } else if (req.query.sort === 'endorsements' && endorsedPath) {
+    sortBy = { [endorsedPath]: -1, reputation: -1 };
+  }
+
+  const { results: users, pagination } = await paginate(
+    User.find(query).select(User.publicFields),
+    req.query,
+    { sort: sortBy }
+  );
 
   res.json({
     success: true,
     count: users.length,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit),
-    },
+    pagination,
     data: users,
   });
 });
@@ -52,7 +74,7 @@ const getUsers = asyncHandler(async (req, res) => {
 // @access  Public
 const getUser = asyncHandler(async (req, res) => {
   const user = await User.findOne({ username: req.params.username })
-    .select('-password')
+    .select(`${User.publicFields} wishlist threadsFollowed`)
     .populate('threadsFollowed', 'title slug')
     .populate('wishlist', 'name username image');
 
@@ -64,13 +86,19 @@ const getUser = asyncHandler(async (req, res) => {
   }
 
   // Get user's threads
-  const threads = await Thread.find({ createdBy: user._id })
+  const threads = await Thread.find({ createdBy: user._id, isHidden: { $ne: true } })
     .populate('category', 'name')
     .sort({ createdAt: -1 })
     .limit(5);
 
+  // Freelancer portfolio, featured items first
+  const portfolio = await PortfolioItem.findForOwner(user._id);
+
+  // Endorsement counts and top endorsers per listed skill
+  const endorsements = await getEndorsementSummary(user);
+
   // Get user's recent comments
-  const comments = await Comment.find({ userId: user._id })
+  const comments = await Comment.find({ userId: user._id, isHidden: { $ne: true } })
     .populate('threadId', 'title slug')
     .sort({ createdAt: -1 })
     .limit(5);
@@ -83,13 +111,50 @@ const getUser = asyncHandler(async (req, res) => {
     followingCount: user.wishlist.length,
   };
 
+  // Aggregate visible ratings, split by the side of the job reviewed
+  const ratingBreakdown = await Review.aggregate([
+    { $match: { reviewee: user._id, isVisible: true } },
+    {
+      $group: {
+        _id: '$revieweeRole',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const ratings = {
+    average: 0,
+    count: 0,
+    asClient: { average: 0, count: 0 },
+    asFreelancer: { average: 0, count: 0 },
+  };
+
+  let ratingTotal = 0;
+  ratingBreakdown.forEach((group) => {
+    const key = group._id === 'client' ? 'asClient' : 'asFreelancer';
+    ratings[key] = {
+      average: Math.round(group.average * 100) / 100,
+      count: group.count,
+    };
+    ratingTotal += group.average * group.count;
+    ratings.count += group.count;
+  });
+
+  if (ratings.count > 0) {
+    ratings.average = Math.round((ratingTotal / ratings.count) * 100) / 100;
+  }
+
   res.json({
     success: true,
     data: {
       user,
       threads,
       comments,
+      portfolio,
+      endorsements,
       stats,
+      ratings,
     },
   });
 });
@@ -142,6 +207,101 @@ const followUser = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Endorse/Unendorse one of a user's listed skills
+// @route   POST /api/users/:id/endorse
+// @access  Private
+const endorseSkill = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user || !user.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  if (user._id.toString() === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot endorse yourself',
+    });
+  }
+
+  const skill = await findListedSkill(user, req.body.skill);
+
+  if (!skill) {
+    return res.status(400).json({
+      success: false,
+      message: 'This user has not listed that skill',
+    });
+  }
+
+  const existing = await Endorsement.findOne({
+    endorser: req.user.id,
+    endorsee: user._id,
+    skill: skill.tag,
+  });
+
+  if (existing) {
+    // Withdraw the endorsement
+    await existing.deleteOne();
+  } else {
+    if (!await haveInteracted(req.user.id, user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only endorse users you have worked or talked with',
+      });
+    }
+
+    await Endorsement.create({
+      endorser: req.user.id,
+      endorsee: user._id,
+      skill: skill.tag,
+    });
+  }
+
+  await syncEndorsementCounts(user);
+
+  const count = await Endorsement.countDocuments({ endorsee: user._id, skill: skill.tag });
+
+  if (existing) {
+    return res.json({
+      success: true,
+      message: 'Endorsement withdrawn',
+      isEndorsed: false,
+      skill: skill.listed,
+      count,
+    });
+  }
+
+  await createNotification({
+    userId: user._id,
+    type: 'skill_endorsement',
+    title: 'New skill endorsement',
+    message: `${req.user.name} endorsed your ${skill.listed} skill`,
+    data: {
+      fromUserId: req.user.id,
+      actionUrl: `/users/${user.username}`,
+    },
+  });
+
+  res.json({
+    success: true,
+    message: 'Skill endorsed',
+    isEndorsed: true,
+    skill: skill.listed,
+    count,
+  });
+});
+
 // @desc    Get user's followers
 // @route   GET /api/users/:id/followers
 // @access  Public
@@ -190,6 +350,7 @@ module.exports = {
   getUsers,
   getUser,
   followUser,
+  endorseSkill,
   getUserFollowers,
   getUserFollowing,
 };
\ No newline at end of file
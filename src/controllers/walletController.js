@@ -0,0 +1,230 @@
+const Contract = require('../models/Contract');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const asyncHandler = require('../utils/asyncHandler');
+const ledgerService = require('../utils/ledgerService');
+const { validationResult } = require('express-validator');
+
+// Ledger accounts the user can see: their own wallet and external accounts,
+// plus escrow held on contracts they are party to
+const getVisibleAccounts = async (userId) => {
+  const contracts = await Contract.find({
+    $or: [{ client: userId }, { freelancer: userId }],
+  }).select('_id');
+
+  return LedgerAccount.find({
+    $or: [
+      { owner: userId, type: { $in: ['wallet', 'external'] } },
+      { type: 'escrow', contract: { $in: contracts.map(c => c._id) } },
+    ],
+  }).populate('contract', 'thread client freelancer status');
+};
+
+// Load the contract named in the request body, checking the current user is
+// the expected party
+const loadContract = async (req, res, party) => {
+  const contract = await Contract.findById(req.body.contractId);
+
+  if (!contract) {
+    res.status(404).json({
+      success: false,
+      message: 'Contract not found',
+    });
+    return null;
+  }
+
+  if (contract[party].toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: `Only the ${party} can perform this action`,
+    });
+    return null;
+  }
+
+  return contract;
+};
+
+// @desc    Get wallet balances
+// @route   GET /api/wallet
+// @access  Private
+const getWallet = asyncHandler(async (req, res) => {
+  const accounts = await getVisibleAccounts(req.user.id);
+
+  const balances = accounts
+    .filter(account => account.type === 'wallet')
+    .map(account => ({ currency: account.currency, balance: account.balance }));
+
+  const escrow = accounts
+    .filter(account => account.type === 'escrow' && account.balance !== 0)
+    .map(account => ({
+      contract: account.contract,
+      currency: account.currency,
+      balance: account.balance,
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      balances,
+      escrow,
+    },
+  });
+});
+
+// @desc    Get wallet transaction history
+// @route   GET /api/wallet/transactions
+// @access  Private
+const getTransactions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  const accounts = await getVisibleAccounts(req.user.id);
+  const query = {
+    'entries.account': { $in: accounts.map(a => a._id) },
+    status: 'posted',
+  };
+
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const transactions = await LedgerTransaction.find(query)
+    .populate('entries.account', 'type owner contract currency')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip(startIndex);
+
+  const total = await LedgerTransaction.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: transactions.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: transactions,
+  });
+});
+
+// @desc    Fund escrow for a contract or some of its milestones
+// @route   POST /api/wallet/escrow/fund
+// @access  Private (Client only)
+const fundEscrow = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const contract = await loadContract(req, res, 'client');
+  if (!contract) return;
+
+  if (contract.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: `Contract is ${contract.status}`,
+    });
+  }
+
+  const transaction = await ledgerService.fundEscrow(contract, req.body.milestoneIds, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: transaction,
+  });
+});
+
+// @desc    Release a milestone's escrow to the freelancer
+// @route   POST /api/wallet/escrow/release
+// @access  Private (Client only)
+const releaseEscrow = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const contract = await loadContract(req, res, 'client');
+  if (!contract) return;
+
+  const milestone = contract.milestones.id(req.body.milestoneId);
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Milestone not found',
+    });
+  }
+
+  const result = await ledgerService.releaseEscrow(contract, milestone, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+});
+
+// @desc    Refund a milestone's escrow to the client
+// @route   POST /api/wallet/escrow/refund
+// @access  Private (Freelancer, or client or admin once the contract is cancelled)
+const refundEscrow = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const contract = await Contract.findById(req.body.contractId);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contract not found',
+    });
+  }
+
+  // The freelancer can always give money back; on a cancelled contract the
+  // client or an admin can also retry refunds that failed on cancellation
+  const canRefund = contract.freelancer.toString() === req.user.id ||
+    (contract.status === 'cancelled' &&
+      (contract.client.toString() === req.user.id || req.user.staffRole === 'admin'));
+
+  if (!canRefund) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the freelancer can refund escrow on an active contract',
+    });
+  }
+
+  const milestone = contract.milestones.id(req.body.milestoneId);
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Milestone not found',
+    });
+  }
+
+  const transaction = await ledgerService.refundEscrow(contract, milestone, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: transaction,
+  });
+});
+
+module.exports = {
+  getWallet,
+  getTransactions,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+};
@@ -0,0 +1,101 @@
+const OutboxEmail = require('../models/OutboxEmail');
+const Notification = require('../models/Notification');
+const { sendEmail } = require('../utils/emailService');
+
+const POLL_INTERVAL = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 30000;
+const BATCH_SIZE = 20;
+const BASE_BACKOFF = 60 * 1000; // 1 minute, doubled per attempt
+const STALE_LOCK = 10 * 60 * 1000; // sending longer than this is assumed crashed
+
+let timer = null;
+let running = false;
+
+// Claim the next due email so concurrent workers never send it twice
+const claimNext = () => {
+  return OutboxEmail.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+    { status: 'sending', lockedAt: Date.now() },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliver = async (email) => {
+  email.attempts += 1;
+
+  try {
+    const info = await sendEmail({
+      email: email.to,
+      subject: email.subject,
+      html: email.html,
+      message: email.text,
+      headers: email.headers,
+    });
+
+    email.status = 'sent';
+    email.sentAt = Date.now();
+    email.messageId = info.messageId;
+    email.lastError = undefined;
+    await email.save();
+
+    if (email.notificationId) {
+      await Notification.findByIdAndUpdate(email.notificationId, { emailSent: true });
+    }
+  } catch (error) {
+    email.lastError = error.message;
+
+    if (email.attempts >= email.maxAttempts) {
+      email.status = 'failed';
+    } else {
+      email.status = 'queued';
+      email.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF * Math.pow(2, email.attempts - 1));
+    }
+
+    await email.save();
+  }
+};
+
+// Send up to one batch of due emails
+const processBatch = async () => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    // Requeue emails left mid-send by a crashed worker
+    await OutboxEmail.updateMany(
+      { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK) } },
+      { status: 'queued' }
+    );
+
+    while (processed < BATCH_SIZE) {
+      const email = await claimNext();
+      if (!email) break;
+
+      await deliver(email);
+      processed += 1;
+    }
+  } catch (error) {
+    console.error('Email worker error:', error.message);
+  } finally {
+    running = false;
+  }
+
+  return processed;
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(processBatch, POLL_INTERVAL);
+  processBatch();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  processBatch,
+  start,
+  stop,
+};
@@ -0,0 +1,37 @@
+const Review = require('../models/Review');
+
+const CHECK_INTERVAL = parseInt(process.env.REVIEW_REVEAL_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Reveal reviews whose window has closed and refresh the affected ratings
+const run = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await Review.revealDue();
+  } catch (error) {
+    console.error('Review reveal error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(run, CHECK_INTERVAL);
+  run();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  run,
+  start,
+  stop,
+};
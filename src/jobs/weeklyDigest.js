@@ -0,0 +1,218 @@
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const { queueEmail, emailTemplates } = require('../utils/emailService');
+const { generateUnsubscribeToken } = require('../config/jwt');
+const { sanitizeInput } = require('../utils/validators');
+const { escapeRegex } = require('../utils/helpers');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 60 * 1000; // look for due digests hourly
+const SECTION_LIMIT = 5;
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const threadLink = (thread) => {
+  return `<a href="${frontendUrl()}/threads/${thread._id}">${sanitizeInput(thread.title)}</a>`;
+};
+
+// Top threads of the week in categories the user has posted or commented in
+const getTopThreads = async (user, since) => {
+  const ownThreads = await Thread.find({ createdBy: user._id }).distinct('category');
+  const commentedThreads = await Comment.find({ userId: user._id }).distinct('threadId');
+  const commentedCategories = await Thread.find({ _id: { $in: commentedThreads } }).distinct('category');
+
+  const categories = [...ownThreads, ...commentedCategories];
+  if (categories.length === 0) return [];
+
+  return Thread.find({
+    category: { $in: categories },
+    createdAt: { $gte: since },
+    createdBy: { $ne: user._id },
+    isHidden: { $ne: true },
+  })
+    .sort({ upvotes: -1, commentsCount: -1 })
+    .limit(SECTION_LIMIT);
+};
+
+// New open jobs tagged with one of the user's skills
+const getSkillMatches = (user, since) => {
+  if (!user.skills || user.skills.length === 0) return [];
+
+  return Thread.find({
+    tags: { $in: user.skills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) },
+    status: 'open',
+    createdAt: { $gte: since },
+    createdBy: { $ne: user._id },
+    isHidden: { $ne: true },
+  })
+    .sort({ createdAt: -1 })
+    .limit(SECTION_LIMIT);
+};
+
+// Reply counts on followed threads, by thread
+const getFollowedReplies = async (user, since) => {
+  if (!user.threadsFollowed || user.threadsFollowed.length === 0) return [];
+
+  const replies = await Comment.aggregate([
+    {
+      $match: {
+        threadId: { $in: user.threadsFollowed },
+        userId: { $ne: user._id },
+        createdAt: { $gte: since },
+        isHidden: { $ne: true },
+      },
+    },
+    { $group: { _id: '$threadId', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: SECTION_LIMIT },
+  ]);
+
+  const threads = await Thread.find({ _id: { $in: replies.map(r => r._id) } });
+
+  return replies
+    .map(reply => ({
+      thread: threads.find(t => t._id.equals(reply._id)),
+      count: reply.count,
+    }))
+    .filter(reply => reply.thread);
+};
+
+// Build the digest HTML for one user, or null when there is nothing to say
+const buildDigest = async (user, since) => {
+  const topThreads = await getTopThreads(user, since);
+  const skillMatches = await getSkillMatches(user, since);
+  const followedReplies = await getFollowedReplies(user, since);
+  const unreadMessages = await Message.countDocuments({
+    receiver: user._id,
+    read: false,
+    isDeleted: false,
+  });
+
+  const sections = [];
+
+  if (topThreads.length > 0) {
+    sections.push(`
+      <h2>Top threads in your categories</h2>
+      <ul>${topThreads.map(t => `<li>${threadLink(t)} (${t.upvotes} upvotes, ${t.commentsCount} comments)</li>`).join('')}</ul>
+    `);
+  }
+
+  if (skillMatches.length > 0) {
+    sections.push(`
+      <h2>New jobs matching your skills</h2>
+      <ul>${skillMatches.map(t => `<li>${threadLink(t)}</li>`).join('')}</ul>
+    `);
+  }
+
+  if (followedReplies.length > 0) {
+    sections.push(`
+      <h2>Replies on threads you follow</h2>
+      <ul>${followedReplies.map(r => `<li>${threadLink(r.thread)}: ${r.count} new ${r.count === 1 ? 'reply' : 'replies'}</li>`).join('')}</ul>
+    `);
+  }
+
+  if (unreadMessages > 0) {
+    sections.push(`
+      <p>You have <a href="${frontendUrl()}/chat">${unreadMessages} unread ${unreadMessages === 1 ? 'message' : 'messages'}</a>.</p>
+    `);
+  }
+
+  return sections.length > 0 ? sections.join('') : null;
+};
+
+// Queue one user's digest, if there is anything to tell them, and mark them
+// done for the week. Returns whether an email was queued.
+const sendDigest = async (user, weekAgo) => {
+  const since = user.lastDigestAt && user.lastDigestAt > weekAgo ? user.lastDigestAt : weekAgo;
+  const content = await buildDigest(user, since);
+
+  if (content) {
+    // The email links to a confirmation page; mail clients use the
+    // header URL for one-click POST unsubscribes
+    const token = generateUnsubscribeToken(user._id);
+    const unsubscribeUrl = `${apiUrl()}/api/auth/unsubscribe/${token}`;
+    const template = emailTemplates.newsletter(user, content, `${frontendUrl()}/unsubscribe/${token}`);
+
+    await queueEmail({
+      email: user.email,
+      subject: template.subject,
+      html: template.html,
+      template: 'newsletter',
+      userId: user._id,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+  }
+
+  await User.findByIdAndUpdate(user._id, { lastDigestAt: Date.now() });
+  return Boolean(content);
+};
+
+// Queue digests for every opted-in user whose last digest is a week old
+const run = async () => {
+  if (running) return 0;
+  running = true;
+
+  let queued = 0;
+  try {
+    const weekAgo = new Date(Date.now() - WEEK);
+
+    // Stream due users in batches rather than loading them all at once
+    const users = User.find({
+      isActive: true,
+      'notificationPrefs.newsletter': true,
+      $or: [
+        { lastDigestAt: { $lte: weekAgo } },
+        { lastDigestAt: null, createdAt: { $lte: weekAgo } },
+      ],
+    })
+      .select('+lastDigestAt')
+      .batchSize(BATCH_SIZE)
+      .cursor();
+
+    for await (const user of users) {
+      // One user's failure is logged and retried on a later run; it does
+      // not stop everyone else's digest
+      try {
+        if (await sendDigest(user, weekAgo)) {
+          queued += 1;
+        }
+      } catch (error) {
+        console.error(`Weekly digest error for user ${user._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Weekly digest error:', error.message);
+  } finally {
+    running = false;
+  }
+
+  return queued;
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(run, CHECK_INTERVAL);
+  run();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  buildDigest,
+  run,
+  start,
+  stop,
+};
@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
+const { isSessionActive } = require('../utils/sessionService');
+const { verifyToken } = require('../config/jwt');
 
 // Protect routes
 const protect = asyncHandler(async (req, res, next) => {
@@ -19,10 +20,18 @@ const protect = asyncHandler(async (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
+
+    // Reject tokens from revoked or expired sessions
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked',
+      });
+    }
 
     // Get user from token
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(decoded.id).select('+staffRole +moderatorOf');
 
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -32,6 +41,7 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -54,6 +64,41 @@ const authorize = (...roles) => {
   };
 };
 
+// Grant access to specific staff roles
+const requireStaff = (...staffRoles) => {
+  return (req, res, next) => {
+    if (!staffRoles.includes(req.user.staffRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
+    next();
+  };
+};
+
+// Grant access to site-wide and category moderators
+const requireModerator = (req, res, next) => {
+  if (req.user.staffRole === 'user' && req.user.moderatorOf.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this route',
+    });
+  }
+  next();
+};
+
+// Require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+    });
+  }
+  next();
+};
+
 // Socket.io authentication middleware
 const socketAuth = async (socket, next) => {
   try {
@@ -63,14 +108,20 @@ const socketAuth = async (socket, next) => {
       return next(new Error('Authentication error'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const decoded = verifyToken(token);
+
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return next(new Error('Session revoked'));
+    }
+
+    const user = await User.findById(decoded.id).select('+staffRole +moderatorOf');
 
     if (!user || !user.isActive) {
       return next(new Error('User not found'));
     }
 
     socket.userId = user._id.toString();
+    socket.sessionId = decoded.sid;
     socket.user = user;
     next();
   } catch (error) {
@@ -78,4 +129,11 @@ const socketAuth = async (socket, next) => {
   }
 };
 
-module.exports = { protect, authorize, socketAuth };
\ No newline at end of file
+module.exports = {
+  protect,
+  authorize,
+  requireStaff,
+  requireModerator,
+  requireVerifiedEmail,
+  socketAuth,
+};
\ No newline at end of file
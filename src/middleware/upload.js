@@ -0,0 +1,19 @@
+const multer = require('multer');
+const { maxFileSize, maxFiles } = require('../utils/uploadService');
+
+// Files are kept in memory so their contents can be checked before anything
+// is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize(),
+    files: maxFiles(),
+  },
+});
+
+// Accept the `files` field of a multipart request
+const parseUploads = upload.array('files', maxFiles());
+
+module.exports = {
+  parseUploads,
+};
@@ -1,4 +1,6 @@
 const { body, query, param } = require('express-validator');
+const Notification = require('../models/Notification');
+const { toList } = require('../utils/threadFilters');
 
 // Auth validation
 const registerValidation = [
@@ -37,6 +39,24 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+];
+
+const resetPasswordValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+];
+
 // Thread validation
 const threadValidation = [
   body('title')
@@ -55,8 +75,13 @@ const threadValidation = [
   
   body('tags')
     .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array of at most 10 tags'),
+  
+  body('tags.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
   
   body('budget.min')
     .optional()
@@ -74,6 +99,142 @@ const threadValidation = [
     .withMessage('Priority must be low, medium, high, or urgent'),
 ];
 
+const threadUpdateValidation = [
+  body('title')
+    .optional()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Title must be between 5 and 100 characters')
+    .trim(),
+  
+  body('description')
+    .optional()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters')
+    .trim(),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array of at most 10 tags'),
+  
+  body('tags.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  
+  body('budget.min')
+    .optional()
+    .isNumeric()
+    .withMessage('Budget minimum must be a number'),
+  
+  body('budget.max')
+    .optional()
+    .isNumeric()
+    .withMessage('Budget maximum must be a number'),
+  
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be low, medium, high, or urgent'),
+  
+  body('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status can only be set to open or closed'),
+];
+
+// Thread list filters (GET /api/threads, GET /api/categories/:id/threads)
+const threadFilterValidation = [
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  
+  query('status')
+    .optional()
+    .custom(value => toList(value).every(status => ['open', 'in-progress', 'completed', 'closed'].includes(status)))
+    .withMessage('Status must be a list of open, in-progress, completed or closed'),
+  
+  query('priority')
+    .optional()
+    .custom(value => toList(value).every(priority => ['low', 'medium', 'high', 'urgent'].includes(priority)))
+    .withMessage('Priority must be a list of low, medium, high or urgent'),
+  
+  query(['tags', 'tag'])
+    .optional()
+    .custom(value => toList(value).length <= 10 && toList(value).every(tag => tag.length <= 50))
+    .withMessage('Up to 10 tags of at most 50 characters are allowed'),
+  
+  query('tagMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag match must be any or all'),
+  
+  query('budgetMin')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget minimum must be a positive number'),
+  
+  query('budgetMax')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget maximum must be a positive number')
+    .custom((value, { req }) => req.query.budgetMin === undefined || parseFloat(value) >= parseFloat(req.query.budgetMin))
+    .withMessage('Budget maximum cannot be less than the minimum'),
+  
+  query('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  
+  query('deadlineAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('Deadline after must be a valid date'),
+  
+  query('deadlineBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Deadline before must be a valid date')
+    .custom((value, { req }) => !req.query.deadlineAfter || new Date(value) >= new Date(req.query.deadlineAfter))
+    .withMessage('Deadline before cannot be earlier than deadline after'),
+  
+  query('authorRole')
+    .optional()
+    .isIn(['client', 'freelancer'])
+    .withMessage('Author role must be client or freelancer'),
+  
+  query('hired')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Hired must be true or false'),
+  
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search must be between 2 and 100 characters'),
+  
+  query('sort')
+    .optional()
+    .isIn(['popular', 'oldest', 'recent', 'most-commented'])
+    .withMessage('Sort must be popular, oldest, recent or most-commented'),
+];
+
+const lockThreadValidation = [
+  body('reason')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Lock reason must be between 1 and 200 characters')
+    .trim(),
+];
+
+const moveThreadValidation = [
+  body('categoryId')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+];
+
 // Comment validation
 const commentValidation = [
   body('threadId')
@@ -90,10 +251,14 @@ const commentValidation = [
     .isMongoId()
     .withMessage('Valid parent comment ID is required'),
   
-  body('mentions')
+  body('attachments')
     .optional()
-    .isArray()
-    .withMessage('Mentions must be an array'),
+    .isArray({ max: 5 })
+    .withMessage('Attachments must be an array of at most 5 files'),
+  
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Valid attachment ID is required'),
 ];
 
 // Message validation
@@ -116,6 +281,15 @@ const messageValidation = [
     .optional()
     .isIn(['text', 'file', 'image'])
     .withMessage('Message type must be text, file, or image'),
+  
+  body('attachments')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Attachments must be an array of at most 5 files'),
+  
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Valid attachment ID is required'),
 ];
 
 // Category validation
@@ -141,6 +315,201 @@ const categoryValidation = [
     .withMessage('Icon must be less than 10 characters'),
 ];
 
+// Proposal validation
+const proposalValidation = [
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Bid amount must be a positive number'),
+  
+  body('deliveryDays')
+    .isInt({ min: 1 })
+    .withMessage('Delivery estimate must be at least 1 day'),
+  
+  body('coverLetter')
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Cover letter must be between 20 and 2000 characters')
+    .trim(),
+];
+
+const acceptProposalValidation = [
+  body('milestones')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Milestones must be an array of 1 to 20 items'),
+  
+  body('milestones.*.title')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Milestone title must be between 2 and 100 characters')
+    .trim(),
+  
+  body('milestones.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Milestone amount must be a positive number'),
+  
+  body('milestones.*.dueDate')
+    .isISO8601()
+    .withMessage('Milestone due date must be a valid date'),
+];
+
+// Contract validation
+const milestoneSubmitValidation = [
+  body('note')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Submission note cannot be more than 1000 characters')
+    .trim(),
+];
+
+const milestoneChangesValidation = [
+  body('feedback')
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Feedback must be between 1 and 1000 characters')
+    .trim(),
+];
+
+const contractCancelValidation = [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+    .trim(),
+];
+
+// Review validation
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+  
+  body('body')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Review must be between 10 and 1000 characters')
+    .trim(),
+];
+
+// Wallet validation
+const escrowFundValidation = [
+  body('contractId')
+    .isMongoId()
+    .withMessage('Valid contract ID is required'),
+  
+  body('milestoneIds')
+    .optional()
+    .isArray()
+    .withMessage('Milestone IDs must be an array'),
+  
+  body('milestoneIds.*')
+    .isMongoId()
+    .withMessage('Valid milestone ID is required'),
+];
+
+const escrowMilestoneValidation = [
+  body('contractId')
+    .isMongoId()
+    .withMessage('Valid contract ID is required'),
+  
+  body('milestoneId')
+    .isMongoId()
+    .withMessage('Valid milestone ID is required'),
+];
+
+// Notification validation
+const notificationQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(Notification.schema.path('type').enumValues)
+    .withMessage('Invalid notification type'),
+  
+  query('read')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Read must be true or false'),
+];
+
+// Report validation
+const reportValidation = [
+  body('targetType')
+    .isIn(['thread', 'comment', 'message', 'user'])
+    .withMessage('Target type must be thread, comment, message, or user'),
+  
+  body('targetId')
+    .isMongoId()
+    .withMessage('Valid target ID is required'),
+  
+  body('reason')
+    .isIn(['spam', 'harassment', 'abuse', 'inappropriate', 'scam', 'off_topic', 'other'])
+    .withMessage('Invalid report reason'),
+  
+  body('details')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot be more than 1000 characters')
+    .trim(),
+];
+
+const resolveReportValidation = [
+  body('action')
+    .isIn(['dismiss', 'hide_content', 'lock_thread', 'warn_user', 'suspend_user'])
+    .withMessage('Invalid resolution action'),
+  
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+    .trim()
+    // The note becomes the thread's lock reason
+    .custom((note, { req }) => req.body.action !== 'lock_thread' || note.length <= 200)
+    .withMessage('Lock reason cannot be more than 200 characters'),
+];
+
+// Admin validation
+const userStatusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+];
+
+const userRoleValidation = [
+  body('role')
+    .optional()
+    .isIn(['client', 'freelancer'])
+    .withMessage('Role must be either client or freelancer'),
+  
+  body('staffRole')
+    .optional()
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Staff role must be user, moderator, or admin'),
+  
+  body('moderatorOf')
+    .optional()
+    .isArray()
+    .withMessage('moderatorOf must be an array of category IDs'),
+  
+  body('moderatorOf.*')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+];
+
+const settingsValidation = [
+  body('siteName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Site name must be between 2 and 50 characters')
+    .trim(),
+  
+  body('registrationOpen')
+    .optional()
+    .isBoolean()
+    .withMessage('registrationOpen must be true or false')
+    .toBoolean(),
+  
+  body('announcement')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Announcement cannot be more than 500 characters')
+    .trim(),
+];
+
 // Query validation
 const paginationValidation = [
   query('page')
@@ -154,6 +523,245 @@ const paginationValidation = [
     .withMessage('Limit must be between 1 and 100'),
 ];
 
+// Cursor pagination (?after= / ?before=)
+const cursorValidation = [
+  query(['after', 'before'])
+    .optional()
+    .isBase64({ urlSafe: true })
+    .isLength({ max: 1000 })
+    .withMessage('Invalid cursor'),
+  
+  query('before')
+    .custom((value, { req }) => value === undefined || req.query.after === undefined)
+    .withMessage('Use either after or before, not both'),
+];
+
+// Tag validation
+const tagQueryValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Query must be between 1 and 50 characters'),
+  
+  query('sort')
+    .optional()
+    .isIn(['popular', 'name', 'newest'])
+    .withMessage('Sort must be popular, name or newest'),
+  
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const tagUpdateValidation = [
+  body('description')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot be more than 300 characters')
+    .trim(),
+  
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of at most 20 names'),
+  
+  body('aliases.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each alias must be between 1 and 50 characters'),
+];
+
+const tagMergeValidation = [
+  body('into')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Target tag is required'),
+];
+
+// Portfolio validation (rules shared by create and update)
+const portfolioDetailRules = [
+  body('role')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Role cannot be more than 100 characters')
+    .trim(),
+  
+  body('skills')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Skills must be an array of at most 20 skills'),
+  
+  body('skills.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each skill must be between 1 and 50 characters'),
+  
+  body('links')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Links must be an array of at most 5 links'),
+  
+  body('links.*.url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each link needs a valid http(s) URL'),
+  
+  body('links.*.label')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Link label cannot be more than 50 characters'),
+  
+  body('images')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Images must be an array of at most 10 files'),
+  
+  body('images.*')
+    .isMongoId()
+    .withMessage('Valid image ID is required'),
+  
+  body('thread')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Valid thread ID is required'),
+  
+  body('isFeatured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be true or false')
+    .toBoolean(),
+];
+
+const portfolioValidation = [
+  body('title')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+    .trim(),
+  
+  body('description')
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters')
+    .trim(),
+  
+  ...portfolioDetailRules,
+];
+
+const portfolioUpdateValidation = [
+  body('title')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+    .trim(),
+  
+  body('description')
+    .optional()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters')
+    .trim(),
+  
+  ...portfolioDetailRules,
+];
+
+const portfolioOrderValidation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  
+  body('items.*')
+    .isMongoId()
+    .withMessage('Valid portfolio item ID is required'),
+];
+
+// Endorsement validation
+const endorsementValidation = [
+  body('skill')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Skill must be between 1 and 50 characters'),
+];
+
+// User list validation
+const userQueryValidation = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a single string')
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+  
+  query('endorsedSkill')
+    .optional()
+    .isString()
+    .withMessage('Endorsed skill must be a single string')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Endorsed skill must be between 1 and 50 characters')
+    .matches(/[a-z0-9]/i)
+    .withMessage('Endorsed skill must contain a letter or digit'),
+  
+  query('sort')
+    .optional()
+    .custom((value, { req }) => value !== 'endorsements' || Boolean(req.query.endorsedSkill))
+    .withMessage('Sorting by endorsements needs an endorsed skill'),
+];
+
+// Recommendation validation
+const recommendationValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+];
+
+// Feed validation
+const feedValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('after')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .isLength({ max: 500 })
+    .withMessage('Invalid cursor'),
+];
+
+// Search validation
+const searchValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search must be between 2 and 100 characters'),
+  
+  query('type')
+    .optional()
+    .isIn(['threads', 'comments', 'users'])
+    .withMessage('Type must be threads, comments or users'),
+  
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  
+  query('status')
+    .optional()
+    .isIn(['open', 'in-progress', 'completed', 'closed'])
+    .withMessage('Invalid thread status'),
+  
+  query('tag')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be between 1 and 50 characters'),
+];
+
 // Param validation
 const mongoIdValidation = [
   param('id')
@@ -161,13 +769,66 @@ const mongoIdValidation = [
     .withMessage('Valid MongoDB ID is required'),
 ];
 
+const portfolioItemIdValidation = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Valid portfolio item ID is required'),
+];
+
+const proposalIdValidation = [
+  param('proposalId')
+    .isMongoId()
+    .withMessage('Valid proposal ID is required'),
+];
+
+const milestoneIdValidation = [
+  param('milestoneId')
+    .isMongoId()
+    .withMessage('Valid milestone ID is required'),
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
   threadValidation,
+  threadUpdateValidation,
+  threadFilterValidation,
+  lockThreadValidation,
+  moveThreadValidation,
   commentValidation,
   messageValidation,
   categoryValidation,
+  proposalValidation,
+  acceptProposalValidation,
+  milestoneSubmitValidation,
+  milestoneChangesValidation,
+  contractCancelValidation,
+  escrowFundValidation,
+  escrowMilestoneValidation,
+  reviewValidation,
+  notificationQueryValidation,
+  reportValidation,
+  resolveReportValidation,
+  userStatusValidation,
+  userRoleValidation,
+  settingsValidation,
+  tagQueryValidation,
+  tagUpdateValidation,
+  tagMergeValidation,
+  portfolioValidation,
+  portfolioUpdateValidation,
+  portfolioOrderValidation,
+  endorsementValidation,
+  userQueryValidation,
+  recommendationValidation,
+  feedValidation,
+  searchValidation,
   paginationValidation,
+  cursorValidation,
   mongoIdValidation,
+  portfolioItemIdValidation,
+  proposalIdValidation,
+  milestoneIdValidation,
 };
\ No newline at end of file
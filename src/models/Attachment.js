@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Storage driver and key the file was saved under
+  driver: {
+    type: String,
+    required: true,
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  originalName: {
+    type: String,
+    required: true,
+    maxlength: [255, 'File name cannot be more than 255 characters'],
+  },
+  // Detected from the file contents, not taken from the client
+  mimetype: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // Comment, message or portfolio item the file was attached to;
+  // unattached files can still be deleted by their owner
+  attachedTo: {
+    kind: {
+      type: String,
+      enum: ['comment', 'message', 'portfolio'],
+    },
+    id: {
+      type: mongoose.Schema.ObjectId,
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+attachmentSchema.index({ owner: 1, createdAt: -1 });
+attachmentSchema.index({ 'attachedTo.kind': 1, 'attachedTo.id': 1 });
+
+// Total bytes stored by a user, for quota checks
+attachmentSchema.statics.usageFor = async function(userId) {
+  const [stats] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: '$owner', total: { $sum: '$size' } } },
+  ]);
+
+  return stats ? stats.total : 0;
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
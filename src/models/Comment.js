@@ -39,6 +39,14 @@ const commentSchema = new mongoose.Schema({
       enum: ['up', 'down'],
     },
   }],
+  isAccepted: {
+    type: Boolean,
+    default: false,
+  },
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
   isEdited: {
     type: Boolean,
     default: false,
@@ -51,6 +59,10 @@ const commentSchema = new mongoose.Schema({
     ref: 'User',
   }],
   attachments: [{
+    fileId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Attachment',
+    },
     filename: String,
     originalName: String,
     size: Number,
@@ -64,5 +76,6 @@ const commentSchema = new mongoose.Schema({
 commentSchema.index({ threadId: 1, createdAt: 1 });
 commentSchema.index({ userId: 1 });
 commentSchema.index({ parentId: 1 });
+commentSchema.index({ body: 'text' }, { name: 'comment_text' });
 
 module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a milestone title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a milestone amount'],
+    min: [0, 'Milestone amount cannot be negative'],
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please add a due date'],
+  },
+  order: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'changes_requested', 'approved'],
+    default: 'pending',
+  },
+  submissionNote: {
+    type: String,
+    maxlength: [1000, 'Submission note cannot be more than 1000 characters'],
+  },
+  feedback: {
+    type: String,
+    maxlength: [1000, 'Feedback cannot be more than 1000 characters'],
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+  },
+  // funding/releasing/refunding mark a money move in progress; only the
+  // request that claimed the milestone may finish it
+  escrowStatus: {
+    type: String,
+    enum: ['unfunded', 'funding', 'funded', 'releasing', 'released', 'refunding', 'refunded'],
+    default: 'unfunded',
+  },
+  escrowChargeRef: {
+    type: String,
+  },
+  submittedAt: {
+    type: Date,
+  },
+  approvedAt: {
+    type: Date,
+  },
+});
+
+const contractSchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Thread',
+    required: true,
+    unique: true,
+  },
+  proposal: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Proposal',
+  },
+  client: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  freelancer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add the agreed amount'],
+    min: [0, 'Amount cannot be negative'],
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  milestones: [milestoneSchema],
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active',
+  },
+  completedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  cancelReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Keep milestones in their agreed order
+contractSchema.pre('save', function(next) {
+  this.milestones.sort((a, b) => a.order - b.order);
+  next();
+});
+
+// Check whether every milestone on the contract has been approved
+contractSchema.methods.allMilestonesApproved = function() {
+  return this.milestones.length > 0 &&
+    this.milestones.every(milestone => milestone.status === 'approved');
+};
+
+// Build a contract for an accepted proposal. Without explicit milestones the
+// whole amount is a single milestone due after the proposed delivery time.
+contractSchema.statics.createFromProposal = function(thread, proposal, milestones) {
+  let items = milestones;
+
+  if (!items || items.length === 0) {
+    items = [{
+      title: thread.title,
+      amount: proposal.amount,
+      dueDate: new Date(Date.now() + proposal.deliveryDays * 24 * 60 * 60 * 1000),
+    }];
+  }
+
+  return this.create({
+    thread: thread._id,
+    proposal: proposal._id,
+    client: thread.createdBy,
+    freelancer: proposal.freelancer,
+    amount: proposal.amount,
+    currency: thread.budget && thread.budget.currency ? thread.budget.currency : 'USD',
+    milestones: items.map((item, index) => ({
+      title: item.title,
+      description: item.description,
+      amount: item.amount,
+      dueDate: item.dueDate,
+      order: index + 1,
+    })),
+  });
+};
+
+contractSchema.index({ client: 1, status: 1 });
+contractSchema.index({ freelancer: 1, status: 1 });
+
+module.exports = mongoose.model('Contract', contractSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const endorsementSchema = new mongoose.Schema({
+  endorser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  endorsee: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Canonical tag name of the endorsed skill
+  skill: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+endorsementSchema.index({ endorser: 1, endorsee: 1, skill: 1 }, { unique: true });
+endorsementSchema.index({ endorsee: 1, skill: 1, createdAt: -1 });
+endorsementSchema.index({ skill: 1 });
+
+// Key of a skill in User.endorsementCounts. Tag names may contain dots,
+// which cannot appear in a map key; underscores never appear in tag names.
+endorsementSchema.statics.countKey = function(skill) {
+  return skill.replace(/\./g, '_');
+};
+
+// Recalculate a user's stored per-skill counts, keeping only the given
+// (currently listed) skills
+endorsementSchema.statics.updateUserCounts = async function(userId, skills) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        endorsee: new mongoose.Types.ObjectId(userId.toString()),
+        skill: { $in: skills },
+      },
+    },
+    { $group: { _id: '$skill', count: { $sum: 1 } } },
+  ]);
+
+  await mongoose.model('User').findByIdAndUpdate(userId, {
+    endorsementCounts: Object.fromEntries(results.map(r => [this.countKey(r._id), r.count])),
+  });
+};
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Ranking of a user's home feed as of their first page load, so later pages
+// walk the same order even if votes or comments change in between
+const feedSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Ranked items, best first: { key, type, id, score, reasons }
+  entries: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FeedSnapshot', feedSnapshotSchema);
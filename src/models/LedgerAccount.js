@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['wallet', 'escrow', 'external', 'platform_fees'],
+    required: true,
+  },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  contract: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Contract',
+    default: null,
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  // Sum of every posted entry against this account. External accounts go
+  // negative as money enters the platform.
+  balance: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+ledgerAccountSchema.index({ type: 1, owner: 1, contract: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['escrow_fund', 'escrow_release', 'escrow_refund', 'platform_fee'],
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  entries: [{
+    account: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'LedgerAccount',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+  }],
+  contract: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Contract',
+  },
+  milestoneIds: [{
+    type: mongoose.Schema.ObjectId,
+  }],
+  initiatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  provider: {
+    type: String,
+  },
+  providerRef: {
+    type: String,
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'failed'],
+    default: 'pending',
+  },
+}, {
+  timestamps: true,
+});
+
+// Double-entry: every transaction must balance to zero
+ledgerTransactionSchema.pre('validate', function(next) {
+  const total = this.entries.reduce((sum, entry) => sum + Math.round(entry.amount * 100), 0);
+
+  if (this.entries.length < 2 || total !== 0) {
+    return next(new Error('Ledger transaction entries must balance'));
+  }
+
+  next();
+});
+
+ledgerTransactionSchema.index({ 'entries.account': 1, createdAt: -1 });
+ledgerTransactionSchema.index({ contract: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
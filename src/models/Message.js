@@ -26,6 +26,10 @@ const messageSchema = new mongoose.Schema({
     default: 'text',
   },
   attachments: [{
+    fileId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Attachment',
+    },
     filename: String,
     originalName: String,
     size: Number,
@@ -38,6 +42,10 @@ const messageSchema = new mongoose.Schema({
   readAt: {
     type: Date,
   },
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
   isDeleted: {
     type: Boolean,
     default: false,
@@ -17,6 +17,20 @@ const notificationSchema = new mongoose.Schema({
       'new_message',
       'thread_mention',
       'comment_mention',
+      'new_proposal',
+      'proposal_shortlisted',
+      'proposal_accepted',
+      'proposal_rejected',
+      'milestone_submitted',
+      'milestone_approved',
+      'milestone_changes_requested',
+      'contract_completed',
+      'contract_cancelled',
+      'new_review',
+      'report_update',
+      'moderation_warning',
+      'tag_thread',
+      'skill_endorsement',
       'system',
       'newsletter'
     ],
@@ -45,6 +59,14 @@ const notificationSchema = new mongoose.Schema({
       type: mongoose.Schema.ObjectId,
       ref: 'Message',
     },
+    proposalId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Proposal',
+    },
+    contractId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Contract',
+    },
     fromUserId: {
       type: mongoose.Schema.ObjectId,
       ref: 'User',
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const outboxEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  html: {
+    type: String,
+  },
+  text: {
+    type: String,
+  },
+  template: {
+    type: String,
+  },
+  headers: {
+    type: Object,
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  notificationId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Notification',
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+  messageId: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for the worker's polling query
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ notificationId: 1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
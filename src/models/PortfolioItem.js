@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const portfolioItemSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters'],
+  },
+  description: {
+    type: String,
+    required: [true, 'Please add a description'],
+    maxlength: [2000, 'Description cannot be more than 2000 characters'],
+  },
+  // The freelancer's part in the project, e.g. "Lead developer"
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Role cannot be more than 100 characters'],
+  },
+  // Canonical tag names
+  skills: [{
+    type: String,
+  }],
+  links: [{
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Link label cannot be more than 50 characters'],
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  }],
+  images: [{
+    fileId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Attachment',
+    },
+    filename: String,
+    originalName: String,
+    size: Number,
+    mimetype: String,
+  }],
+  // Completed job on the platform this item showcases
+  thread: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Thread',
+    default: null,
+  },
+  isFeatured: {
+    type: Boolean,
+    default: false,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+portfolioItemSchema.index({ owner: 1, isFeatured: -1, order: 1, createdAt: -1 });
+
+// A user's items in display order: featured first, then by their position
+portfolioItemSchema.statics.findForOwner = function(ownerId) {
+  return this.find({ owner: ownerId })
+    .populate('thread', 'title slug')
+    .sort({ isFeatured: -1, order: 1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('PortfolioItem', portfolioItemSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const proposalSchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Thread',
+    required: true,
+  },
+  freelancer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a bid amount'],
+    min: [0, 'Bid amount cannot be negative'],
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  deliveryDays: {
+    type: Number,
+    required: [true, 'Please add a delivery estimate'],
+    min: [1, 'Delivery estimate must be at least 1 day'],
+  },
+  coverLetter: {
+    type: String,
+    required: [true, 'Please add a cover letter'],
+    maxlength: [2000, 'Cover letter cannot be more than 2000 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'shortlisted', 'rejected', 'accepted', 'withdrawn'],
+    default: 'pending',
+  },
+  decidedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One bid per freelancer per thread
+proposalSchema.index({ thread: 1, freelancer: 1 }, { unique: true });
+proposalSchema.index({ thread: 1, status: 1, createdAt: -1 });
+proposalSchema.index({ freelancer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Proposal', proposalSchema);
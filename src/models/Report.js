@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['thread', 'comment', 'message', 'user'],
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+  },
+  // Author of the reported content (or the reported user)
+  targetUser: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Category of the reported thread/comment, for category moderators
+  category: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  reporter: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'abuse', 'inappropriate', 'scam', 'off_topic', 'other'],
+    required: [true, 'Please select a reason'],
+  },
+  details: {
+    type: String,
+    maxlength: [1000, 'Details cannot be more than 1000 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'resolved'],
+    default: 'open',
+  },
+  claimedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  claimedAt: {
+    type: Date,
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['dismiss', 'hide_content', 'lock_thread', 'warn_user', 'suspend_user'],
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters'],
+    },
+    resolvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ category: 1, status: 1 });
+reportSchema.index({ targetType: 1, targetId: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const reputationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      'thread_upvote',
+      'thread_downvote',
+      'comment_upvote',
+      'comment_downvote',
+      'answer_accepted',
+      'job_completed_freelancer',
+      'job_completed_client',
+    ],
+    required: true,
+  },
+  // Points actually applied, after the daily cap
+  points: {
+    type: Number,
+    required: true,
+  },
+  capped: {
+    type: Boolean,
+    default: false,
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  thread: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Thread',
+  },
+  comment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Comment',
+  },
+  contract: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Contract',
+  },
+  reversed: {
+    type: Boolean,
+    default: false,
+  },
+  reversedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ user: 1, type: 1, actor: 1, thread: 1, comment: 1, reversed: 1 });
+
+module.exports = mongoose.model('ReputationEvent', reputationEventSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Thread',
+    required: true,
+  },
+  reviewer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reviewee: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Side of the job the reviewee was on
+  revieweeRole: {
+    type: String,
+    enum: ['client', 'freelancer'],
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+  },
+  body: {
+    type: String,
+    required: [true, 'Please add a review'],
+    maxlength: [1000, 'Review cannot be more than 1000 characters'],
+  },
+  // Reviews stay hidden until both sides submit or the window closes
+  isVisible: {
+    type: Boolean,
+    default: false,
+  },
+  revealAt: {
+    type: Date,
+    required: true,
+  },
+  revealedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+reviewSchema.index({ thread: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, isVisible: 1, createdAt: -1 });
+reviewSchema.index({ isVisible: 1, revealAt: 1 });
+
+// Recalculate a user's stored rating from their visible reviews
+reviewSchema.statics.updateUserRating = async function(userId) {
+  const [stats] = await this.aggregate([
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId.toString()), isVisible: true } },
+    { $group: { _id: '$reviewee', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await mongoose.model('User').findByIdAndUpdate(userId, {
+    rating: {
+      average: stats ? Math.round(stats.average * 100) / 100 : 0,
+      count: stats ? stats.count : 0,
+    },
+  });
+};
+
+// Reveal reviews whose window has closed and refresh affected ratings
+reviewSchema.statics.revealDue = async function() {
+  const due = await this.find({ isVisible: false, revealAt: { $lte: new Date() } })
+    .select('reviewee');
+
+  if (due.length === 0) return;
+
+  await this.updateMany(
+    { _id: { $in: due.map(r => r._id) } },
+    { isVisible: true, revealedAt: Date.now() }
+  );
+
+  const reviewees = [...new Set(due.map(r => r.reviewee.toString()))];
+  for (const userId of reviewees) {
+    await this.updateUserRating(userId);
+  }
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
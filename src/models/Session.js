@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Hash of the current refresh token; rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Hash of the token it replaced, to detect reuse of a stolen token
+  previousTokenHash: {
+    type: String,
+    select: false,
+  },
+  device: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
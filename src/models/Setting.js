@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Site settings and their defaults. Only these keys can be stored.
+const defaults = {
+  siteName: 'FreelanceForum',
+  registrationOpen: true,
+  announcement: '',
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(defaults),
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+settingSchema.statics.defaults = defaults;
+
+// All settings, with defaults for keys never saved
+settingSchema.statics.getAll = async function() {
+  const saved = await this.find();
+
+  return saved.reduce((settings, setting) => {
+    settings[setting.key] = setting.value;
+    return settings;
+  }, { ...defaults });
+};
+
+settingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaults[key];
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  // Normalised form, e.g. "React JS" -> "react-js"
+  name: {
+    type: String,
+    required: [true, 'Please add a tag name'],
+    unique: true,
+    maxlength: [50, 'Tag cannot be more than 50 characters'],
+  },
+  // Other spellings that resolve to this tag, also normalised
+  aliases: [{
+    type: String,
+    maxlength: [50, 'Alias cannot be more than 50 characters'],
+  }],
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot be more than 300 characters'],
+  },
+  // Number of threads carrying the tag
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  followersCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+tagSchema.index({ aliases: 1 });
+tagSchema.index({ usageCount: -1 });
+
+// Lowercase, hyphenate whitespace and drop anything that is not a letter,
+// digit or one of + # . - (so "C++", "C#" and "Node.js" survive)
+tagSchema.statics.normalize = function(name) {
+  if (typeof name !== 'string') return '';
+
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9+#.-]/g, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|[-.]+$/g, '')
+    .slice(0, 50);
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
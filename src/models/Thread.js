@@ -26,10 +26,20 @@ const threadSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Copy of the author's role, so lists can filter on it without a join
+  authorRole: {
+    type: String,
+    enum: ['client', 'freelancer'],
+  },
   tags: [{
     type: String,
     trim: true,
   }],
+  // Users @mentioned in the description
+  mentions: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  }],
   budget: {
     min: {
       type: Number,
@@ -57,6 +67,21 @@ const threadSchema = new mongoose.Schema({
     enum: ['open', 'in-progress', 'completed', 'closed'],
     default: 'open',
   },
+  hiredFreelancer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // When the status last became 'completed'
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  acceptedAnswer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
   upvotes: {
     type: Number,
     default: 0,
@@ -95,35 +120,84 @@ const threadSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  lockReason: {
+    type: String,
+    maxlength: [200, 'Lock reason cannot be more than 200 characters'],
+  },
+  lockedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  lockedAt: {
+    type: Date,
+  },
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
 }, {
   timestamps: true,
 });
 
+threadSchema.index({ isPinned: -1, createdAt: -1 });
+threadSchema.index({ category: 1, isPinned: -1, createdAt: -1 });
+threadSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'thread_text', weights: { title: 10, tags: 5, description: 1 } }
+);
+
 // Create thread slug from the title
 threadSchema.pre('save', function(next) {
   this.slug = this.title.toLowerCase().replace(/ /g, '-').replace(/[^\w-]+/g, '');
   next();
 });
 
-// Static method to get threads with advanced filtering
+// Static method to get threads with advanced filtering. List filters match
+// any of the given values; tags can also be required to all match.
 threadSchema.statics.getFilteredThreads = function(filters) {
-  const query = this.find();
+  const query = this.find({ isHidden: { $ne: true } });
   
   if (filters.category) {
     query.where('category').equals(filters.category);
   }
   
-  if (filters.status) {
-    query.where('status').equals(filters.status);
+  if (filters.status && filters.status.length > 0) {
+    query.where('status').in(filters.status);
+  }
+
+  if (filters.priority && filters.priority.length > 0) {
+    query.where('priority').in(filters.priority);
   }
   
   if (filters.tags && filters.tags.length > 0) {
-    query.where('tags').in(filters.tags);
+    if (filters.tagMatch === 'all') {
+      query.where('tags').all(filters.tags);
+    } else {
+      query.where('tags').in(filters.tags);
+    }
   }
   
   if (filters.budget) {
-    if (filters.budget.min) query.where('budget.min').gte(filters.budget.min);
-    if (filters.budget.max) query.where('budget.max').lte(filters.budget.max);
+    if (filters.budget.min !== undefined) query.where('budget.min').gte(filters.budget.min);
+    if (filters.budget.max !== undefined) query.where('budget.max').lte(filters.budget.max);
+    if (filters.budget.currency) query.where('budget.currency').equals(filters.budget.currency);
+  }
+
+  if (filters.deadline) {
+    if (filters.deadline.after) query.where('deadline').gte(filters.deadline.after);
+    if (filters.deadline.before) query.where('deadline').lte(filters.deadline.before);
+  }
+
+  if (filters.authorRole) {
+    query.where('authorRole').equals(filters.authorRole);
+  }
+
+  if (filters.hired !== undefined) {
+    query.where('hiredFreelancer')[filters.hired ? 'ne' : 'equals'](null);
+  }
+
+  if (filters.search) {
+    query.where({ $text: { $search: filters.search } });
   }
   
   return query;
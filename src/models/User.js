@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -34,6 +35,21 @@ const userSchema = new mongoose.Schema({
     enum: ['client', 'freelancer'],
     required: [true, 'Please specify a role'],
   },
+  // Site permissions, independent of the client/freelancer role
+  staffRole: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user',
+    select: false,
+  },
+  // Categories this user moderates without being a site-wide moderator
+  moderatorOf: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Category',
+    }],
+    select: false,
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot be more than 500 characters'],
@@ -42,6 +58,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   }],
+  // Endorsements per listed skill, keyed by Endorsement.countKey
+  endorsementCounts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
   image: {
     type: String,
     default: 'no-photo.jpg',
@@ -83,26 +105,101 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.ObjectId,
     ref: 'Thread',
   }],
+  // Threads the user gets no reply notifications from and is not
+  // auto-followed to
+  threadsMuted: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Thread',
+    }],
+    select: false,
+  },
+  categoriesFollowed: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Category',
+    }],
+    select: false,
+  },
+  tagsFollowed: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tag',
+    }],
+    select: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false,
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false,
+  },
   lastLogin: {
     type: Date,
     default: Date.now,
   },
+  lastDigestAt: {
+    type: Date,
+    select: false,
+  },
+  // Running total of uploaded bytes, reserved before files are written so
+  // parallel uploads cannot overshoot the quota. Set from the user's stored
+  // files on their first upload.
+  uploadBytes: {
+    type: Number,
+    select: false,
+  },
   reputation: {
     type: Number,
     default: 0,
   },
+  rating: {
+    average: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
 }, {
   timestamps: true,
 });
 
+userSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+userSchema.index({ tagsFollowed: 1 });
+userSchema.index({ threadsFollowed: 1 });
+userSchema.index(
+  { username: 'text', name: 'text', skills: 'text', bio: 'text' },
+  { name: 'user_text', weights: { username: 10, name: 10, skills: 5, bio: 1 } }
+);
+
+// Fields shown on public profiles and in the user directory
+userSchema.statics.publicFields = 'username name role bio skills endorsementCounts image location website reputation rating createdAt';
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -114,4 +211,37 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Whether the user may moderate content in the given category
+userSchema.methods.canModerate = function(categoryId) {
+  if (['admin', 'moderator'].includes(this.staffRole)) return true;
+  if (!categoryId) return false;
+
+  return this.moderatorOf.some(id => id.toString() === categoryId.toString());
+};
+
+// Hash a single-use token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a password reset token; only its hash is stored
+userSchema.methods.getResetPasswordToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return token;
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.getEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
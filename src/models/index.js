@@ -4,6 +4,21 @@ const Thread = require('./Thread');
 const Comment = require('./Comment');
 const Message = require('./Message');
 const Notification = require('./Notification');
+const Proposal = require('./Proposal');
+const Contract = require('./Contract');
+const LedgerAccount = require('./LedgerAccount');
+const LedgerTransaction = require('./LedgerTransaction');
+const Review = require('./Review');
+const ReputationEvent = require('./ReputationEvent');
+const OutboxEmail = require('./OutboxEmail');
+const Session = require('./Session');
+const Setting = require('./Setting');
+const Report = require('./Report');
+const Attachment = require('./Attachment');
+const Tag = require('./Tag');
+const PortfolioItem = require('./PortfolioItem');
+const Endorsement = require('./Endorsement');
+const FeedSnapshot = require('./FeedSnapshot');
 
 module.exports = {
   User,
@@ -12,4 +27,19 @@ module.exports = {
   Comment,
   Message,
   Notification,
+  Proposal,
+  Contract,
+  LedgerAccount,
+  LedgerTransaction,
+  Review,
+  ReputationEvent,
+  OutboxEmail,
+  Session,
+  Setting,
+  Report,
+  Attachment,
+  Tag,
+  PortfolioItem,
+  Endorsement,
+  FeedSnapshot,
 };
\ No newline at end of file
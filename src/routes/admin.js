@@ -0,0 +1,49 @@
+const express = require('express');
+const {
+  getUsers,
+  updateUserStatus,
+  updateUserRole,
+  getCategories,
+  getSettings,
+  updateSettings,
+} = require('../controllers/adminController');
+const {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const { protect, requireStaff } = require('../middleware/auth');
+const {
+  categoryValidation,
+  userStatusValidation,
+  userRoleValidation,
+  settingsValidation,
+  paginationValidation,
+  mongoIdValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Every admin route requires an admin
+router.use(protect, requireStaff('admin'));
+
+// Users
+router.get('/users', paginationValidation, getUsers);
+router.put('/users/:id/status', mongoIdValidation, userStatusValidation, updateUserStatus);
+router.put('/users/:id/role', mongoIdValidation, userRoleValidation, updateUserRole);
+
+// Categories
+router.route('/categories')
+  .get(getCategories)
+  .post(categoryValidation, createCategory);
+
+router.route('/categories/:id')
+  .put(mongoIdValidation, updateCategory)
+  .delete(mongoIdValidation, deleteCategory);
+
+// Site settings
+router.route('/settings')
+  .get(getSettings)
+  .put(settingsValidation, updateSettings);
+
+module.exports = router;
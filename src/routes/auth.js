@@ -5,11 +5,24 @@ const {
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getUnsubscribe,
+  unsubscribe,
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 const {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  mongoIdValidation,
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -19,5 +32,16 @@ router.post('/login', loginValidation, login);
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
 router.put('/password', protect, changePassword);
+router.post('/refresh', refresh);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, mongoIdValidation, deleteSession);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.route('/unsubscribe/:token')
+  .get(getUnsubscribe)
+  .post(unsubscribe);
 
 module.exports = router;
\ No newline at end of file
@@ -6,11 +6,14 @@ const {
   updateCategory,
   deleteCategory,
   getCategoryThreads,
+  followCategory,
 } = require('../controllers/categoryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requireStaff } = require('../middleware/auth');
 const {
   categoryValidation,
+  threadFilterValidation,
   paginationValidation,
+  cursorValidation,
   mongoIdValidation,
 } = require('../middleware/validation');
 
@@ -18,13 +21,14 @@ const router = express.Router();
 
 router.route('/')
   .get(getCategories)
-  .post(protect, authorize('admin'), categoryValidation, createCategory);
+  .post(protect, requireStaff('admin'), categoryValidation, createCategory);
 
 router.route('/:id')
   .get(mongoIdValidation, getCategory)
-  .put(protect, authorize('admin'), mongoIdValidation, updateCategory)
-  .delete(protect, authorize('admin'), mongoIdValidation, deleteCategory);
+  .put(protect, requireStaff('admin'), mongoIdValidation, updateCategory)
+  .delete(protect, requireStaff('admin'), mongoIdValidation, deleteCategory);
 
-router.get('/:id/threads', mongoIdValidation, paginationValidation, getCategoryThreads);
+router.get('/:id/threads', mongoIdValidation, paginationValidation, cursorValidation, threadFilterValidation, getCategoryThreads);
+router.post('/:id/follow', protect, mongoIdValidation, followCategory);
 
 module.exports = router;
\ No newline at end of file
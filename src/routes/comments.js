@@ -5,6 +5,7 @@ const {
   updateComment,
   deleteComment,
   voteComment,
+  acceptComment,
 } = require('../controllers/commentController');
 const { protect } = require('../middleware/auth');
 const {
@@ -23,5 +24,6 @@ router.route('/:id')
   .delete(protect, mongoIdValidation, deleteComment);
 
 router.post('/:id/vote', protect, mongoIdValidation, voteComment);
+router.post('/:id/accept', protect, mongoIdValidation, acceptComment);
 
 module.exports = router;
\ No newline at end of file
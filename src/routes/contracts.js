@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getContracts,
+  getContract,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneChanges,
+  cancelContract,
+} = require('../controllers/contractController');
+const { protect } = require('../middleware/auth');
+const {
+  milestoneSubmitValidation,
+  milestoneChangesValidation,
+  contractCancelValidation,
+  mongoIdValidation,
+  milestoneIdValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', protect, getContracts);
+router.get('/:id', protect, mongoIdValidation, getContract);
+router.put('/:id/cancel', protect, mongoIdValidation, contractCancelValidation, cancelContract);
+
+router.put('/:id/milestones/:milestoneId/submit', protect, mongoIdValidation, milestoneIdValidation, milestoneSubmitValidation, submitMilestone);
+router.put('/:id/milestones/:milestoneId/approve', protect, mongoIdValidation, milestoneIdValidation, approveMilestone);
+router.put('/:id/milestones/:milestoneId/request-changes', protect, mongoIdValidation, milestoneIdValidation, milestoneChangesValidation, requestMilestoneChanges);
+
+module.exports = router;
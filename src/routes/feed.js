@@ -0,0 +1,10 @@
+const express = require('express');
+const { getFeed } = require('../controllers/feedController');
+const { protect } = require('../middleware/auth');
+const { feedValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', protect, feedValidation, getFeed);
+
+module.exports = router;
\ No newline at end of file
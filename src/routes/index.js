@@ -5,6 +5,15 @@ const threadRoutes = require('./threads');
 const commentRoutes = require('./comments');
 const messageRoutes = require('./messages');
 const categoryRoutes = require('./categories');
+const contractRoutes = require('./contracts');
+const walletRoutes = require('./wallet');
+const notificationRoutes = require('./notifications');
+const adminRoutes = require('./admin');
+const reportRoutes = require('./reports');
+const uploadRoutes = require('./uploads');
+const searchRoutes = require('./search');
+const tagRoutes = require('./tags');
+const feedRoutes = require('./feed');
 
 const router = express.Router();
 
@@ -14,5 +23,14 @@ router.use('/threads', threadRoutes);
 router.use('/comments', commentRoutes);
 router.use('/messages', messageRoutes);
 router.use('/categories', categoryRoutes);
+router.use('/contracts', contractRoutes);
+router.use('/wallet', walletRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/admin', adminRoutes);
+router.use('/reports', reportRoutes);
+router.use('/uploads', uploadRoutes);
+router.use('/search', searchRoutes);
+router.use('/tags', tagRoutes);
+router.use('/feed', feedRoutes);
 
 module.exports = router;
\ No newline at end of file
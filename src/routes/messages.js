@@ -7,10 +7,11 @@ const {
   deleteMessage,
   getUnreadCount,
 } = require('../controllers/messageController');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 const {
   messageValidation,
   paginationValidation,
+  cursorValidation,
   mongoIdValidation,
 } = require('../middleware/validation');
 
@@ -18,8 +19,8 @@ const router = express.Router();
 
 router.get('/conversations', protect, getConversations);
 router.get('/unread/count', protect, getUnreadCount);
-router.get('/:userId', protect, paginationValidation, getMessages);
-router.post('/', protect, messageValidation, sendMessage);
+router.get('/:userId', protect, paginationValidation, cursorValidation, getMessages);
+router.post('/', protect, requireVerifiedEmail, messageValidation, sendMessage);
 router.put('/:id/read', protect, mongoIdValidation, markAsRead);
 router.delete('/:id', protect, mongoIdValidation, deleteMessage);
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+const {
+  notificationQueryValidation,
+  paginationValidation,
+  mongoIdValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', protect, paginationValidation, notificationQueryValidation, getNotifications);
+router.get('/unread/count', protect, getUnreadCount);
+router.put('/read-all', protect, markAllAsRead);
+router.put('/:id/read', protect, mongoIdValidation, markAsRead);
+router.delete('/:id', protect, mongoIdValidation, deleteNotification);
+
+module.exports = router;
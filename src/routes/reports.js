@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  createReport,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport,
+} = require('../controllers/reportController');
+const { protect, requireModerator } = require('../middleware/auth');
+const {
+  reportValidation,
+  resolveReportValidation,
+  paginationValidation,
+  mongoIdValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, requireModerator, paginationValidation, getReports)
+  .post(protect, reportValidation, createReport);
+
+router.get('/:id', protect, requireModerator, mongoIdValidation, getReport);
+router.put('/:id/claim', protect, requireModerator, mongoIdValidation, claimReport);
+router.put('/:id/resolve', protect, requireModerator, mongoIdValidation, resolveReportValidation, resolveReport);
+
+module.exports = router;
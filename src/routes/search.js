@@ -0,0 +1,12 @@
+const express = require('express');
+const { search } = require('../controllers/searchController');
+const {
+  searchValidation,
+  paginationValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', paginationValidation, searchValidation, search);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getTags,
+  autocompleteTags,
+  getTrendingTags,
+  getFollowedTags,
+  getTag,
+  followTag,
+  updateTag,
+  mergeTag,
+} = require('../controllers/tagController');
+const { protect, requireStaff } = require('../middleware/auth');
+const {
+  tagQueryValidation,
+  tagUpdateValidation,
+  tagMergeValidation,
+  paginationValidation,
+  cursorValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', paginationValidation, cursorValidation, tagQueryValidation, getTags);
+router.get('/autocomplete', tagQueryValidation, autocompleteTags);
+router.get('/trending', tagQueryValidation, getTrendingTags);
+router.get('/following', protect, getFollowedTags);
+
+router.route('/:name')
+  .get(getTag)
+  .put(protect, requireStaff('admin', 'moderator'), tagUpdateValidation, updateTag);
+
+router.post('/:name/follow', protect, followTag);
+router.post('/:name/merge', protect, requireStaff('admin', 'moderator'), tagMergeValidation, mergeTag);
+
+module.exports = router;
\ No newline at end of file
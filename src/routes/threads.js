@@ -7,26 +7,84 @@ const {
   deleteThread,
   voteThread,
   bookmarkThread,
+  followThread,
+  muteThread,
+  pinThread,
+  lockThread,
+  moveThread,
 } = require('../controllers/threadController');
-const { protect } = require('../middleware/auth');
+const {
+  getProposals,
+  createProposal,
+  shortlistProposal,
+  rejectProposal,
+  acceptProposal,
+  withdrawProposal,
+} = require('../controllers/proposalController');
+const {
+  getThreadReviews,
+  createReview,
+} = require('../controllers/reviewController');
+const { getRecommendedFreelancers } = require('../controllers/recommendationController');
+const {
+  protect,
+  authorize,
+  requireModerator,
+  requireVerifiedEmail,
+} = require('../middleware/auth');
 const {
   threadValidation,
+  threadUpdateValidation,
+  threadFilterValidation,
+  lockThreadValidation,
+  moveThreadValidation,
+  proposalValidation,
+  acceptProposalValidation,
+  reviewValidation,
+  recommendationValidation,
   paginationValidation,
+  cursorValidation,
   mongoIdValidation,
+  proposalIdValidation,
 } = require('../middleware/validation');
 
 const router = express.Router();
 
 router.route('/')
-  .get(paginationValidation, getThreads)
-  .post(protect, threadValidation, createThread);
+  .get(paginationValidation, cursorValidation, threadFilterValidation, getThreads)
+  .post(protect, requireVerifiedEmail, threadValidation, createThread);
 
 router.route('/:id')
   .get(mongoIdValidation, getThread)
-  .put(protect, mongoIdValidation, updateThread)
+  .put(protect, mongoIdValidation, threadUpdateValidation, updateThread)
   .delete(protect, mongoIdValidation, deleteThread);
 
 router.post('/:id/vote', protect, mongoIdValidation, voteThread);
 router.post('/:id/bookmark', protect, mongoIdValidation, bookmarkThread);
+router.post('/:id/follow', protect, mongoIdValidation, followThread);
+router.post('/:id/mute', protect, mongoIdValidation, muteThread);
+
+// Moderation
+router.put('/:id/pin', protect, requireModerator, mongoIdValidation, pinThread);
+router.put('/:id/lock', protect, requireModerator, mongoIdValidation, lockThreadValidation, lockThread);
+router.put('/:id/move', protect, requireModerator, mongoIdValidation, moveThreadValidation, moveThread);
+
+// Proposals
+router.route('/:id/proposals')
+  .get(protect, mongoIdValidation, getProposals)
+  .post(protect, authorize('freelancer'), mongoIdValidation, proposalValidation, createProposal);
+
+router.delete('/:id/proposals/:proposalId', protect, mongoIdValidation, proposalIdValidation, withdrawProposal);
+router.put('/:id/proposals/:proposalId/shortlist', protect, mongoIdValidation, proposalIdValidation, shortlistProposal);
+router.put('/:id/proposals/:proposalId/reject', protect, mongoIdValidation, proposalIdValidation, rejectProposal);
+router.put('/:id/proposals/:proposalId/accept', protect, mongoIdValidation, proposalIdValidation, acceptProposalValidation, acceptProposal);
+
+// Reviews
+router.route('/:id/reviews')
+  .get(mongoIdValidation, getThreadReviews)
+  .post(protect, mongoIdValidation, reviewValidation, createReview);
+
+// Matching
+router.get('/:id/recommended-freelancers', protect, mongoIdValidation, recommendationValidation, getRecommendedFreelancers);
 
 module.exports = router;
\ No newline at end of file
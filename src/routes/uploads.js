@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  uploadFiles,
+  getUploadQuota,
+  getUploads,
+  downloadFile,
+  deleteUpload,
+} = require('../controllers/uploadController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { parseUploads } = require('../middleware/upload');
+const {
+  paginationValidation,
+  mongoIdValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, paginationValidation, getUploads)
+  .post(protect, requireVerifiedEmail, parseUploads, uploadFiles);
+
+router.get('/quota', protect, getUploadQuota);
+
+router.route('/:id')
+  .get(protect, mongoIdValidation, downloadFile)
+  .delete(protect, mongoIdValidation, deleteUpload);
+
+module.exports = router;
\ No newline at end of file
@@ -3,17 +3,53 @@ const {
   getUsers,
   getUser,
   followUser,
+  endorseSkill,
   getUserFollowers,
   getUserFollowing,
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
-const { paginationValidation, mongoIdValidation } = require('../middleware/validation');
+const { getUserReviews } = require('../controllers/reviewController');
+const { getRecommendedThreads } = require('../controllers/recommendationController');
+const {
+  getMyPortfolio,
+  createPortfolioItem,
+  updatePortfolioItem,
+  reorderPortfolio,
+  deletePortfolioItem,
+} = require('../controllers/portfolioController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  paginationValidation,
+  cursorValidation,
+  recommendationValidation,
+  portfolioValidation,
+  portfolioUpdateValidation,
+  portfolioOrderValidation,
+  endorsementValidation,
+  userQueryValidation,
+  mongoIdValidation,
+  portfolioItemIdValidation,
+} = require('../middleware/validation');
 
 const router = express.Router();
 
-router.get('/', paginationValidation, getUsers);
+router.get('/', paginationValidation, cursorValidation, userQueryValidation, getUsers);
+router.get('/me/recommended-threads', protect, authorize('freelancer'), recommendationValidation, getRecommendedThreads);
+
+// Portfolio
+router.route('/me/portfolio')
+  .get(protect, authorize('freelancer'), getMyPortfolio)
+  .post(protect, authorize('freelancer'), portfolioValidation, createPortfolioItem);
+
+router.put('/me/portfolio/order', protect, authorize('freelancer'), portfolioOrderValidation, reorderPortfolio);
+
+router.route('/me/portfolio/:itemId')
+  .put(protect, authorize('freelancer'), portfolioItemIdValidation, portfolioUpdateValidation, updatePortfolioItem)
+  .delete(protect, authorize('freelancer'), portfolioItemIdValidation, deletePortfolioItem);
+
 router.get('/:username', getUser);
+router.get('/:username/reviews', paginationValidation, getUserReviews);
 router.post('/:id/follow', protect, mongoIdValidation, followUser);
+router.post('/:id/endorse', protect, mongoIdValidation, endorsementValidation, endorseSkill);
 router.get('/:id/followers', mongoIdValidation, getUserFollowers);
 router.get('/:id/following', mongoIdValidation, getUserFollowing);
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getWallet,
+  getTransactions,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+} = require('../controllers/walletController');
+const { protect } = require('../middleware/auth');
+const {
+  escrowFundValidation,
+  escrowMilestoneValidation,
+  paginationValidation,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', protect, getWallet);
+router.get('/transactions', protect, paginationValidation, getTransactions);
+router.post('/escrow/fund', protect, escrowFundValidation, fundEscrow);
+router.post('/escrow/release', protect, escrowMilestoneValidation, releaseEscrow);
+router.post('/escrow/refund', protect, escrowMilestoneValidation, refundEscrow);
+
+module.exports = router;
@@ -1,13 +1,27 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const validator = require('validator');
+const OutboxEmail = require('../models/OutboxEmail');
+
+// Transport used to deliver mail: smtp, json (logged to the console) or
+// file (one JSON file per message, for local runs)
+const getTransportType = () => {
+  return process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'json');
+};
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  if (getTransportType() !== 'smtp') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     auth: {
       user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
+      pass: process.env.EMAIL_PASS || process.env.EMAIL_PASSWORD,
     },
   });
 };
@@ -17,36 +31,72 @@ const sendEmail = async (options) => {
   const transporter = createTransporter();
   
   const message = {
-    from: `${process.env.FROM_NAME || 'FreelanceForum'} <${process.env.EMAIL_USER}>`,
+    from: `${process.env.FROM_NAME || 'FreelanceForum'} <${process.env.EMAIL_USER || 'no-reply@localhost'}>`,
     to: options.email,
     subject: options.subject,
     text: options.message,
     html: options.html,
+    headers: options.headers,
   };
   
   const info = await transporter.sendMail(message);
+
+  const transportType = getTransportType();
+  if (transportType === 'file') {
+    const dir = process.env.EMAIL_OUTPUT_DIR || 'tmp/emails';
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]+/g, '')}.json`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, fileName), info.message);
+  } else if (transportType === 'json') {
+    console.log('Email (json transport):', info.message);
+  }
+
   console.log('Message sent: %s', info.messageId);
   
   return info;
 };
 
-// Email templates
+// User-supplied text going into email HTML
+const escapeHtml = (value) => validator.escape(String(value == null ? '' : value));
+
+// Email templates. Subjects are plain text; every value interpolated into
+// HTML is escaped.
 const emailTemplates = {
   welcome: (user) => ({
     subject: 'Welcome to FreelanceForum!',
     html: `
-      <h1>Welcome ${user.name}!</h1>
+      <h1>Welcome ${escapeHtml(user.name)}!</h1>
       <p>Thank you for joining our freelancing community.</p>
-      <p>Your username: <strong>${user.username}</strong></p>
+      <p>Your username: <strong>${escapeHtml(user.username)}</strong></p>
       <p>Start exploring projects and connect with amazing freelancers!</p>
     `,
   }),
   
+  verifyEmail: (user, verifyUrl) => ({
+    subject: 'Verify your FreelanceForum email',
+    html: `
+      <h1>Confirm your email address</h1>
+      <p>Hi ${escapeHtml(user.name)}, please confirm this is your email address.</p>
+      <p><a href="${verifyUrl}">Verify my email</a></p>
+      <p>This link expires in 24 hours.</p>
+    `,
+  }),
+  
+  passwordReset: (user, resetUrl) => ({
+    subject: 'Reset your FreelanceForum password',
+    html: `
+      <h1>Password reset</h1>
+      <p>Hi ${escapeHtml(user.name)}, we received a request to reset your password.</p>
+      <p><a href="${resetUrl}">Choose a new password</a></p>
+      <p>This link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>
+    `,
+  }),
+  
   newMessage: (sender, receiver) => ({
     subject: 'New message from ' + sender.name,
     html: `
       <h1>You have a new message!</h1>
-      <p><strong>${sender.name}</strong> sent you a message on FreelanceForum.</p>
+      <p><strong>${escapeHtml(sender.name)}</strong> sent you a message on FreelanceForum.</p>
       <p>Login to your account to read and reply.</p>
     `,
   }),
@@ -55,61 +105,138 @@ const emailTemplates = {
     subject: `New comment on "${thread.title}"`,
     html: `
       <h1>New comment on your thread</h1>
-      <p><strong>${commenter.name}</strong> commented on your thread "${thread.title}".</p>
+      <p><strong>${escapeHtml(commenter.name)}</strong> commented on your thread "${escapeHtml(thread.title)}".</p>
       <p>Login to see the comment and reply.</p>
     `,
   }),
   
-  newsletter: (user, content) => ({
+  newsletter: (user, content, unsubscribeUrl) => ({
     subject: 'FreelanceForum Weekly Digest',
     html: `
       <h1>Weekly Digest</h1>
-      <p>Hi ${user.name},</p>
+      <p>Hi ${escapeHtml(user.name)},</p>
       <p>Here's what's been happening in the community this week:</p>
       ${content}
+      <p><small>Don't want these emails? <a href="${unsubscribeUrl}">Unsubscribe</a></small></p>
     `,
   }),
 };
 
-// Send welcome email
-const sendWelcomeEmail = async (user) => {
-  if (!user.email) return;
+// Queue an email in the outbox for the worker to deliver
+const toOutbox = (options) => ({
+  to: options.email,
+  subject: options.subject,
+  html: options.html,
+  text: options.message,
+  template: options.template,
+  headers: options.headers,
+  userId: options.userId,
+  notificationId: options.notificationId,
+});
+
+const queueEmail = (options) => {
+  return OutboxEmail.create(toOutbox(options));
+};
+
+// Queue many emails with a single insert
+const queueEmails = (list) => {
+  if (list.length === 0) return [];
+  return OutboxEmail.insertMany(list.map(toOutbox));
+};
+
+// Queue welcome email
+const queueWelcomeEmail = async (user) => {
+  if (!user.email) return null;
   
   const template = emailTemplates.welcome(user);
-  await sendEmail({
+  return queueEmail({
     email: user.email,
     subject: template.subject,
     html: template.html,
+    template: 'welcome',
+    userId: user._id,
   });
 };
 
-// Send notification email
-const sendNotificationEmail = async (user, notification) => {
-  if (!user.email || !user.notificationPrefs.newsletter) return;
+// Queue email verification link
+const queueVerificationEmail = async (user, token) => {
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${token}`;
+  const template = emailTemplates.verifyEmail(user, verifyUrl);
+  
+  return queueEmail({
+    email: user.email,
+    subject: template.subject,
+    html: template.html,
+    template: 'verifyEmail',
+    userId: user._id,
+  });
+};
+
+// Queue password reset link
+const queuePasswordResetEmail = async (user, token) => {
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${token}`;
+  const template = emailTemplates.passwordReset(user, resetUrl);
+  
+  return queueEmail({
+    email: user.email,
+    subject: template.subject,
+    html: template.html,
+    template: 'passwordReset',
+    userId: user._id,
+  });
+};
+
+// Preference that controls email for each notification type
+const notificationPrefFor = {
+  new_message: 'chat',
+  thread_reply: 'replies',
+};
+
+// Build the email for a notification, if its type has a template and the
+// recipient has not opted out. `context` carries the documents the
+// template needs (sender, thread, commenter).
+const buildNotificationEmail = (user, notification, context = {}) => {
+  const pref = notificationPrefFor[notification.type];
+  if (!user.email || !pref || !user.notificationPrefs[pref]) return null;
   
   let template;
   
   switch (notification.type) {
     case 'new_message':
-      template = emailTemplates.newMessage(notification.sender, user);
+      template = emailTemplates.newMessage(context.sender, user);
       break;
     case 'thread_reply':
-      template = emailTemplates.threadReply(notification.thread, notification.commenter, user);
+      template = emailTemplates.threadReply(context.thread, context.commenter, user);
       break;
     default:
-      return;
+      return null;
   }
   
-  await sendEmail({
+  return {
     email: user.email,
     subject: template.subject,
     html: template.html,
-  });
+    template: notification.type,
+    userId: user._id,
+    notificationId: notification._id,
+  };
+};
+
+// Queue the email for a notification, if it has one
+const queueNotificationEmail = async (user, notification, context = {}) => {
+  const email = buildNotificationEmail(user, notification, context);
+  return email ? queueEmail(email) : null;
 };
 
 module.exports = {
   sendEmail,
-  sendWelcomeEmail,
-  sendNotificationEmail,
+  queueEmail,
+  queueEmails,
+  queueWelcomeEmail,
+  queueVerificationEmail,
+  queuePasswordResetEmail,
+  buildNotificationEmail,
+  queueNotificationEmail,
+  notificationPrefFor,
   emailTemplates,
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+const Endorsement = require('../models/Endorsement');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const { mapTags } = require('./tagService');
+
+const TOP_ENDORSERS = 3;
+
+// Whether two users have worked together on a completed job or held a
+// conversation, meaning each has messaged the other
+const haveInteracted = async (userId, otherId) => {
+  const sharedJob = await Thread.exists({
+    status: 'completed',
+    $or: [
+      { createdBy: userId, hiredFreelancer: otherId },
+      { createdBy: otherId, hiredFreelancer: userId },
+    ],
+  });
+  if (sharedJob) return true;
+
+  const [sent, received] = await Promise.all([
+    Message.exists({ sender: userId, receiver: otherId, isHidden: { $ne: true } }),
+    Message.exists({ sender: otherId, receiver: userId, isHidden: { $ne: true } }),
+  ]);
+
+  return Boolean(sent && received);
+};
+
+// Canonical tag names of a user's listed skills
+const skillTags = async (skills = []) => {
+  const skillMap = await mapTags(skills);
+  return [...new Set(skills.map(skill => skillMap.get(skill)).filter(Boolean))];
+};
+
+// The listed skill `skill` refers to, as { listed, tag }, or null when the
+// user has not listed it. "ReactJS" matches a listed "React" through aliases.
+const findListedSkill = async (user, skill) => {
+  const skills = user.skills || [];
+  const skillMap = await mapTags([...skills, skill]);
+  const tag = skillMap.get(skill);
+  const listed = tag ? skills.find(s => skillMap.get(s) === tag) : null;
+
+  return listed ? { listed, tag } : null;
+};
+
+// Recalculate a user's stored counts after their listed skills change
+const syncEndorsementCounts = async (user) => {
+  await Endorsement.updateUserCounts(user._id, await skillTags(user.skills));
+};
+
+// Field holding the endorsement count for a skill, for filtering and
+// sorting users
+const endorsementCountPath = async (skill) => {
+  const [tag] = await skillTags([skill]);
+  return tag ? `endorsementCounts.${Endorsement.countKey(tag)}` : null;
+};
+
+// Each listed skill with its endorsement count and highest-reputation
+// endorsers, most endorsed first
+const getEndorsementSummary = async (user, { top = TOP_ENDORSERS } = {}) => {
+  const skills = user.skills || [];
+  const skillMap = await mapTags(skills);
+  const tags = [...new Set(skills.map(skill => skillMap.get(skill)).filter(Boolean))];
+  if (tags.length === 0) return [];
+
+  const groups = await Endorsement.aggregate([
+    { $match: { endorsee: user._id, skill: { $in: tags } } },
+    { $lookup: { from: 'users', localField: 'endorser', foreignField: '_id', as: 'endorser' } },
+    { $unwind: '$endorser' },
+    { $sort: { 'endorser.reputation': -1, createdAt: 1 } },
+    {
+      $group: {
+        _id: '$skill',
+        count: { $sum: 1 },
+        endorsers: {
+          $push: {
+            _id: '$endorser._id',
+            username: '$endorser.username',
+            name: '$endorser.name',
+            image: '$endorser.image',
+            reputation: '$endorser.reputation',
+          },
+        },
+      },
+    },
+    { $project: { count: 1, topEndorsers: { $slice: ['$endorsers', top] } } },
+  ]);
+
+  return tags
+    .map((tag) => {
+      const group = groups.find(g => g._id === tag);
+      return {
+        skill: skills.find(s => skillMap.get(s) === tag),
+        tag,
+        count: group ? group.count : 0,
+        topEndorsers: group ? group.topEndorsers : [],
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+module.exports = {
+  haveInteracted,
+  findListedSkill,
+  syncEndorsementCounts,
+  endorsementCountPath,
+  getEndorsementSummary,
+};
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const feedConfig = require('../config/feed');
+const { resolveTags } = require('./tagService');
+
+const HOUR = 60 * 60 * 1000;
+
+const feedError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// The ranking of the first page load is saved as a FeedSnapshot, so later
+// pages walk the same order. The cursor holds the snapshot ID, the time the
+// feed was first loaded and the offset of the next item.
+const saveSnapshot = async (user, entries) => {
+  const snapshot = await FeedSnapshot.create({
+    user: user._id,
+    entries,
+    expiresAt: new Date(Date.now() + feedConfig.snapshotTtlMinutes * 60 * 1000),
+  });
+  return snapshot._id.toString();
+};
+
+const encodeCursor = (asOf, id, offset) => {
+  const payload = { t: asOf.getTime(), id, o: offset };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = async (cursor, user) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  if (
+    decoded
+    && mongoose.isValidObjectId(decoded.id)
+    && Number.isFinite(decoded.t)
+    && Number.isInteger(decoded.o)
+    && decoded.o >= 0
+  ) {
+    // The TTL monitor only runs once a minute, so check expiry here too
+    const snapshot = await FeedSnapshot.findOne({
+      _id: decoded.id,
+      user: user._id,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    if (snapshot) {
+      return { ...decoded, snapshot };
+    }
+  }
+
+  throw feedError('Invalid or expired cursor');
+};
+
+const scoreItem = (item, asOf) => {
+  const doc = item.doc;
+  const reasonWeight = item.reasons.reduce((sum, reason) => sum + feedConfig.weights[reason.type], 0);
+  const votes = Math.max((doc.upvotes || 0) - (doc.downvotes || 0), 0);
+  const engagement = votes + (item.type === 'thread' ? doc.commentsCount || 0 : 0);
+  const ageHours = Math.max(asOf - doc.createdAt, 0) / HOUR;
+
+  return (reasonWeight + Math.log1p(engagement)) / Math.pow(ageHours + 2, feedConfig.gravity);
+};
+
+const describe = (reason) => {
+  switch (reason.type) {
+    case 'followed_user':
+      return `Posted by @${reason.user.username}, whom you follow`;
+    case 'followed_user_comment':
+      return `@${reason.user.username}, whom you follow, commented`;
+    case 'followed_category':
+      return `In ${reason.category.name}, a category you follow`;
+    case 'followed_tag':
+      return `Tagged ${reason.tags.join(', ')}, which you follow`;
+    case 'skill_match':
+      return `Open job matching your skills: ${reason.tags.join(', ')}`;
+    default:
+      return '';
+  }
+};
+
+const threadQuery = (filter, user, since, asOf) => {
+  return Thread.find({
+    ...filter,
+    createdBy: filter.createdBy || { $ne: user._id },
+    isHidden: { $ne: true },
+    createdAt: { $gte: since, $lte: asOf },
+  })
+    .select('-votedBy')
+    .populate('createdBy', 'username name image role reputation')
+    .populate('category', 'name color icon')
+    .sort({ createdAt: -1 })
+    .limit(feedConfig.candidateLimit)
+    .lean();
+};
+
+// Gather candidates from every source, merging reasons for items that come
+// from more than one
+const collectCandidates = async (user, asOf) => {
+  const since = new Date(asOf.getTime() - feedConfig.windowDays * 24 * HOUR);
+  const items = new Map();
+
+  const add = (type, doc, reason) => {
+    const key = `${type}:${doc._id}`;
+    if (!items.has(key)) {
+      items.set(key, { key, type, doc, reasons: [] });
+    }
+    items.get(key).reasons.push(reason);
+  };
+
+  const followedUsers = user.wishlist.filter(id => !id.equals(user._id));
+
+  if (followedUsers.length > 0) {
+    const threads = await threadQuery({ createdBy: { $in: followedUsers } }, user, since, asOf);
+    threads.forEach(thread => add('thread', thread, { type: 'followed_user', user: thread.createdBy }));
+
+    const comments = await Comment.find({
+      userId: { $in: followedUsers },
+      isHidden: { $ne: true },
+      createdAt: { $gte: since, $lte: asOf },
+      $or: [
+        { isAccepted: true },
+        { $expr: { $gte: [{ $subtract: ['$upvotes', '$downvotes'] }, feedConfig.notableCommentVotes] } },
+      ],
+    })
+      .select('-votedBy')
+      .populate('userId', 'username name image role reputation')
+      .populate('threadId', 'title slug category isHidden')
+      .sort({ createdAt: -1 })
+      .limit(feedConfig.candidateLimit)
+      .lean();
+
+    comments
+      .filter(comment => comment.threadId && !comment.threadId.isHidden)
+      .forEach(comment => add('comment', comment, { type: 'followed_user_comment', user: comment.userId }));
+  }
+
+  if (user.categoriesFollowed && user.categoriesFollowed.length > 0) {
+    const threads = await threadQuery({ category: { $in: user.categoriesFollowed } }, user, since, asOf);
+    threads.forEach(thread => add('thread', thread, { type: 'followed_category', category: thread.category }));
+  }
+
+  if (user.tagsFollowed && user.tagsFollowed.length > 0) {
+    const tagNames = await Tag.find({ _id: { $in: user.tagsFollowed } }).distinct('name');
+    const threads = await threadQuery({ tags: { $in: tagNames } }, user, since, asOf);
+    threads.forEach(thread => add('thread', thread, {
+      type: 'followed_tag',
+      tags: thread.tags.filter(tag => tagNames.includes(tag)),
+    }));
+  }
+
+  if (user.skills && user.skills.length > 0) {
+    const skillTags = await resolveTags(user.skills, { create: false });
+    const threads = await threadQuery({
+      tags: { $in: skillTags },
+      status: 'open',
+      hiredFreelancer: null,
+    }, user, since, asOf);
+    threads.forEach(thread => add('thread', thread, {
+      type: 'skill_match',
+      tags: thread.tags.filter(tag => skillTags.includes(tag)),
+    }));
+  }
+
+  return [...items.values()];
+};
+
+// Load the current documents for a page of snapshot entries, in snapshot
+// order. Items hidden or deleted since the snapshot was taken are dropped.
+const loadPageDocs = async (entries) => {
+  const idsOf = type => entries.filter(entry => entry.type === type).map(entry => entry.id);
+
+  const [threads, comments] = await Promise.all([
+    Thread.find({ _id: { $in: idsOf('thread') }, isHidden: { $ne: true } })
+      .select('-votedBy')
+      .populate('createdBy', 'username name image role reputation')
+      .populate('category', 'name color icon')
+      .lean(),
+    Comment.find({ _id: { $in: idsOf('comment') }, isHidden: { $ne: true } })
+      .select('-votedBy')
+      .populate('userId', 'username name image role reputation')
+      .populate('threadId', 'title slug category isHidden')
+      .lean(),
+  ]);
+
+  const docs = new Map([
+    ...threads.map(thread => [`thread:${thread._id}`, thread]),
+    ...comments
+      .filter(comment => comment.threadId && !comment.threadId.isHidden)
+      .map(comment => [`comment:${comment._id}`, comment]),
+  ]);
+
+  return entries
+    .filter(entry => docs.has(entry.key))
+    .map(entry => ({ ...entry, doc: docs.get(entry.key) }));
+};
+
+// Build one page of the feed. The first page ranks the candidates by score
+// then key and saves that order; later pages read from the saved order.
+const buildFeed = async (user, { limit = 20, after } = {}) => {
+  const cursor = after ? await decodeCursor(after, user) : null;
+  let asOf;
+  let snapshotId;
+  let entries;
+  let offset;
+  let page;
+
+  if (cursor) {
+    asOf = new Date(cursor.t);
+    snapshotId = cursor.id;
+    entries = cursor.snapshot.entries;
+    offset = cursor.o;
+    page = await loadPageDocs(entries.slice(offset, offset + limit));
+  } else {
+    asOf = new Date();
+    const candidates = await collectCandidates(user, asOf);
+
+    candidates.forEach((item) => {
+      item.score = scoreItem(item, asOf);
+    });
+
+    candidates.sort((a, b) => b.score - a.score || (a.key < b.key ? 1 : -1));
+
+    entries = candidates.map(item => ({
+      key: item.key,
+      type: item.type,
+      id: item.doc._id.toString(),
+      score: item.score,
+      reasons: item.reasons,
+    }));
+    offset = 0;
+    page = candidates.slice(0, limit);
+  }
+
+  const nextOffset = offset + limit;
+  const hasNext = entries.length > nextOffset;
+
+  if (hasNext && !snapshotId) {
+    snapshotId = await saveSnapshot(user, entries);
+  }
+
+  return {
+    asOf,
+    items: page.map(item => ({
+      type: item.type,
+      score: Math.round(item.score * 1e6) / 1e6,
+      reasons: item.reasons.map(reason => ({ ...reason, label: describe(reason) })),
+      item: item.doc,
+    })),
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(asOf, snapshotId, nextOffset) : null,
+  };
+};
+
+module.exports = {
+  scoreItem,
+  buildFeed,
+};
@@ -0,0 +1,54 @@
+// Detect a file's type from its leading bytes rather than trusting the
+// client-supplied mimetype. Returns { mimetype, extension } or null.
+const signatures = [
+  { mimetype: 'image/jpeg', extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimetype: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimetype: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimetype: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { mimetype: 'application/zip', extension: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+];
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+// Plain text: valid UTF-8 with no control characters besides whitespace
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.length === 0) return false;
+
+  // Decode in streaming mode when the sample is cut short, so a multibyte
+  // character split at the end of it is not mistaken for invalid UTF-8
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true })
+      .decode(sample, { stream: buffer.length > sample.length });
+  } catch (error) {
+    return false;
+  }
+
+  return !/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(text);
+};
+
+const sniffFileType = (buffer) => {
+  // WebP: RIFF....WEBP
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return { mimetype: 'image/webp', extension: 'webp' };
+  }
+
+  const match = signatures.find(signature => startsWith(buffer, signature.bytes));
+  if (match) {
+    return { mimetype: match.mimetype, extension: match.extension };
+  }
+
+  if (isText(buffer)) {
+    return { mimetype: 'text/plain', extension: 'txt' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  sniffFileType,
+};
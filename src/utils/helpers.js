@@ -32,6 +32,11 @@ const slugify = (text) => {
     .replace(/-+$/, '');
 };
 
+// Escape a string for use inside a regular expression
+const escapeRegex = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 // Calculate reading time
 const calculateReadingTime = (text) => {
   const wordsPerMinute = 200;
@@ -47,9 +52,9 @@ const sanitizeHtml = (html) => {
     .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '');
 };
 
-// Extract mentions from text
+// Extract mentions from text, skipping email addresses
 const extractMentions = (text) => {
-  const mentionRegex = /@(\w+)/g;
+  const mentionRegex = /(?:^|[^\w.@])@(\w+)/g;
   const mentions = [];
   let match;
   
@@ -88,6 +93,7 @@ module.exports = {
   generateRandomString,
   formatFileSize,
   slugify,
+  escapeRegex,
   calculateReadingTime,
   sanitizeHtml,
   extractMentions,
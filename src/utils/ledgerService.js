@@ -0,0 +1,286 @@
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Contract = require('../models/Contract');
+const { getProvider } = require('./payments');
+
+// Platform commission taken when escrow is released to a freelancer
+const platformFeePercent = () => parseFloat(process.env.PLATFORM_FEE_PERCENT || '10');
+
+// Round to the minor currency unit
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const ledgerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Find or open the account for an owner/contract/currency combination
+const getAccount = ({ type, owner = null, contract = null, currency }) => {
+  return LedgerAccount.findOneAndUpdate(
+    { type, owner, contract, currency: currency.toUpperCase() },
+    {},
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Record balanced transactions and apply their entries to account
+// balances in one MongoDB transaction, so a failure part way through leaves
+// neither the transactions nor any balance change behind. Needs MongoDB to
+// run as a replica set (a single-node one is enough).
+const postTransactions = (list) => {
+  return LedgerTransaction.db.transaction(async (session) => {
+    const transactions = await LedgerTransaction.create(
+      list.map(details => ({ ...details, status: 'posted' })),
+      { session, ordered: true }
+    );
+
+    await LedgerAccount.bulkWrite(
+      transactions.flatMap(transaction => transaction.entries.map(entry => ({
+        updateOne: {
+          filter: { _id: entry.account },
+          update: { $inc: { balance: entry.amount } },
+        },
+      }))),
+      { session }
+    );
+
+    return transactions;
+  });
+};
+
+// Record a single balanced transaction
+const postTransaction = async (details) => {
+  const [transaction] = await postTransactions([details]);
+  return transaction;
+};
+
+// Move a milestone's escrow from one status to another, but only if it is
+// still in `from`. Concurrent requests race on this update, so exactly one
+// of them gets to move the money. Returns whether this call made the move.
+const moveEscrowStatus = async (contract, milestone, from, to, fields = {}) => {
+  const update = { 'milestones.$.escrowStatus': to };
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`milestones.$.${key}`] = value;
+  });
+
+  const result = await Contract.updateOne(
+    { _id: contract._id, milestones: { $elemMatch: { _id: milestone._id, escrowStatus: from } } },
+    { $set: update }
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  // Keep the caller's copy in step
+  milestone.escrowStatus = to;
+  Object.assign(milestone, fields);
+  return true;
+};
+
+// Charge the client and move the money for the given milestones into the
+// contract's escrow account. Funds every unfunded milestone when no IDs are
+// passed.
+const fundEscrow = async (contract, milestoneIds, user) => {
+  const candidates = contract.milestones.filter(m =>
+    m.escrowStatus === 'unfunded' &&
+    (!milestoneIds || milestoneIds.length === 0 || milestoneIds.includes(m._id.toString()))
+  );
+
+  const milestones = [];
+  for (const milestone of candidates) {
+    if (await moveEscrowStatus(contract, milestone, 'unfunded', 'funding')) {
+      milestones.push(milestone);
+    }
+  }
+
+  if (milestones.length === 0) {
+    throw ledgerError('No unfunded milestones to fund');
+  }
+
+  const unclaim = () => Promise.all(milestones.map(m => moveEscrowStatus(contract, m, 'funding', 'unfunded')));
+
+  const amount = roundAmount(milestones.reduce((sum, m) => sum + m.amount, 0));
+  const provider = getProvider();
+
+  let charge;
+  try {
+    charge = await provider.charge({
+      amount,
+      currency: contract.currency,
+      userId: contract.client,
+      description: `Escrow for contract ${contract._id}`,
+    });
+  } catch (error) {
+    await unclaim();
+    throw error;
+  }
+
+  if (charge.status !== 'succeeded') {
+    await unclaim();
+    throw ledgerError('Payment was declined', 402);
+  }
+
+  let transaction;
+  try {
+    const external = await getAccount({ type: 'external', owner: contract.client, currency: contract.currency });
+    const escrow = await getAccount({ type: 'escrow', contract: contract._id, currency: contract.currency });
+
+    transaction = await postTransaction({
+      type: 'escrow_fund',
+      currency: contract.currency,
+      entries: [
+        { account: external._id, amount: -amount },
+        { account: escrow._id, amount },
+      ],
+      contract: contract._id,
+      milestoneIds: milestones.map(m => m._id),
+      initiatedBy: user._id,
+      provider: provider.name,
+      providerRef: charge.id,
+      description: `Escrow funded for ${milestones.length} milestone(s)`,
+    });
+  } catch (error) {
+    // The ledger could not record the charge, so give the money back. Only
+    // if that fails too do the milestones stay in 'funding', for manual
+    // reconciliation against the provider.
+    let refunded = false;
+    try {
+      const refund = await provider.refund({ chargeId: charge.id, amount, currency: contract.currency });
+      refunded = refund.status === 'succeeded';
+    } catch (refundError) {
+      console.error(`Refund of charge ${charge.id} failed:`, refundError.message);
+    }
+
+    if (refunded) {
+      await unclaim();
+    } else {
+      console.error(`Charge ${charge.id} on contract ${contract._id} is not in the ledger; milestones left in funding`);
+    }
+    throw error;
+  }
+
+  for (const milestone of milestones) {
+    await moveEscrowStatus(contract, milestone, 'funding', 'funded', { escrowChargeRef: charge.id });
+  }
+
+  return transaction;
+};
+
+// Release a funded milestone to the freelancer's wallet and collect the
+// platform fee from it
+const releaseEscrow = async (contract, milestone, user) => {
+  if (!await moveEscrowStatus(contract, milestone, 'funded', 'releasing')) {
+    throw ledgerError('Milestone escrow is not funded');
+  }
+
+  const amount = roundAmount(milestone.amount);
+  const fee = roundAmount(amount * platformFeePercent() / 100);
+
+  let release;
+  let feeTransaction = null;
+  try {
+    const escrow = await getAccount({ type: 'escrow', contract: contract._id, currency: contract.currency });
+    const wallet = await getAccount({ type: 'wallet', owner: contract.freelancer, currency: contract.currency });
+
+    const list = [{
+      type: 'escrow_release',
+      currency: contract.currency,
+      entries: [
+        { account: escrow._id, amount: -amount },
+        { account: wallet._id, amount },
+      ],
+      contract: contract._id,
+      milestoneIds: [milestone._id],
+      initiatedBy: user._id,
+      description: `Escrow released for "${milestone.title}"`,
+    }];
+
+    if (fee > 0) {
+      const platform = await getAccount({ type: 'platform_fees', currency: contract.currency });
+
+      list.push({
+        type: 'platform_fee',
+        currency: contract.currency,
+        entries: [
+          { account: wallet._id, amount: -fee },
+          { account: platform._id, amount: fee },
+        ],
+        contract: contract._id,
+        milestoneIds: [milestone._id],
+        initiatedBy: user._id,
+        description: `Platform fee (${platformFeePercent()}%) for "${milestone.title}"`,
+      });
+    }
+
+    [release, feeTransaction = null] = await postTransactions(list);
+  } catch (error) {
+    // Nothing was posted, so the escrow can be released again
+    await moveEscrowStatus(contract, milestone, 'releasing', 'funded');
+    throw error;
+  }
+
+  await moveEscrowStatus(contract, milestone, 'releasing', 'released');
+
+  return { release, fee: feeTransaction };
+};
+
+// Return a funded milestone's escrow to the client through the provider
+const refundEscrow = async (contract, milestone, user) => {
+  if (!await moveEscrowStatus(contract, milestone, 'funded', 'refunding')) {
+    throw ledgerError('Milestone escrow is not funded');
+  }
+
+  const amount = roundAmount(milestone.amount);
+  const provider = getProvider();
+
+  let refund;
+  try {
+    refund = await provider.refund({
+      chargeId: milestone.escrowChargeRef,
+      amount,
+      currency: contract.currency,
+    });
+  } catch (error) {
+    await moveEscrowStatus(contract, milestone, 'refunding', 'funded');
+    throw error;
+  }
+
+  if (refund.status !== 'succeeded') {
+    await moveEscrowStatus(contract, milestone, 'refunding', 'funded');
+    throw ledgerError('Refund failed', 502);
+  }
+
+  const escrow = await getAccount({ type: 'escrow', contract: contract._id, currency: contract.currency });
+  const external = await getAccount({ type: 'external', owner: contract.client, currency: contract.currency });
+
+  // The money has left, so on failure the milestone stays in 'refunding'
+  // for reconciliation rather than becoming refundable again
+  const transaction = await postTransaction({
+    type: 'escrow_refund',
+    currency: contract.currency,
+    entries: [
+      { account: escrow._id, amount: -amount },
+      { account: external._id, amount },
+    ],
+    contract: contract._id,
+    milestoneIds: [milestone._id],
+    initiatedBy: user._id,
+    provider: provider.name,
+    providerRef: refund.id,
+    description: `Escrow refunded for "${milestone.title}"`,
+  });
+
+  await moveEscrowStatus(contract, milestone, 'refunding', 'refunded');
+
+  return transaction;
+};
+
+module.exports = {
+  roundAmount,
+  getAccount,
+  postTransactions,
+  postTransaction,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+};
@@ -0,0 +1,238 @@
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const Contract = require('../models/Contract');
+const Comment = require('../models/Comment');
+const Proposal = require('../models/Proposal');
+const Tag = require('../models/Tag');
+const matchingConfig = require('../config/matching');
+const { resolveTags, mapTags } = require('./tagService');
+const { escapeRegex } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const skillScore = (skillTags, threadTags) => {
+  if (threadTags.length === 0) return 0;
+  return threadTags.filter(tag => skillTags.includes(tag)).length / threadTags.length;
+};
+
+const reputationScore = (reputation) => {
+  return Math.min(Math.log1p(Math.max(reputation || 0, 0)) / Math.log1p(matchingConfig.reputationScale), 1);
+};
+
+const ratingScore = (rating) => {
+  if (!rating || !rating.count) return 0;
+  return (rating.average / 5) * (rating.count / (rating.count + matchingConfig.ratingConfidence));
+};
+
+const experienceScore = (completed) => {
+  return Math.min(completed / matchingConfig.experienceScale, 1);
+};
+
+const activityScore = (lastActiveAt) => {
+  if (!lastActiveAt) return 0;
+  const days = (Date.now() - lastActiveAt) / DAY;
+  return Math.max(1 - days / matchingConfig.activityDays, 0);
+};
+
+// Weighted total plus the per-component breakdown, so clients can show why
+const combine = (components) => {
+  const score = Object.keys(matchingConfig.weights)
+    .reduce((sum, key) => sum + matchingConfig.weights[key] * components[key], 0);
+
+  return {
+    score: round(score),
+    breakdown: Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value)])),
+  };
+};
+
+// Completed contracts per freelancer in a category, keyed by freelancer ID
+const completedInCategory = async (freelancerIds, categoryId) => {
+  const results = await Contract.aggregate([
+    { $match: { freelancer: { $in: freelancerIds }, status: 'completed' } },
+    { $lookup: { from: 'threads', localField: 'thread', foreignField: '_id', as: 'thread' } },
+    { $unwind: '$thread' },
+    { $match: { 'thread.category': categoryId } },
+    { $group: { _id: '$freelancer', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(results.map(r => [r._id.toString(), r.count]));
+};
+
+// Latest comment, proposal or login per user, keyed by user ID
+const lastActivity = async (users) => {
+  const ids = users.map(u => u._id);
+  const since = new Date(Date.now() - matchingConfig.activityDays * DAY);
+
+  const [comments, proposals] = await Promise.all([
+    Comment.aggregate([
+      { $match: { userId: { $in: ids }, createdAt: { $gte: since } } },
+      { $group: { _id: '$userId', last: { $max: '$createdAt' } } },
+    ]),
+    Proposal.aggregate([
+      { $match: { freelancer: { $in: ids }, createdAt: { $gte: since } } },
+      { $group: { _id: '$freelancer', last: { $max: '$createdAt' } } },
+    ]),
+  ]);
+
+  const activity = new Map(users.map(u => [u._id.toString(), u.lastLogin || null]));
+  [...comments, ...proposals].forEach(({ _id, last }) => {
+    const current = activity.get(_id.toString());
+    if (!current || last > current) activity.set(_id.toString(), last);
+  });
+
+  return activity;
+};
+
+// Spellings of each of the given tags, in the same order, for matching
+// free-form skills
+const tagSpellings = async (tagNames) => {
+  const tags = await Tag.find({ name: { $in: tagNames } });
+  const aliases = new Map(tags.map(tag => [tag.name, tag.aliases]));
+
+  // Skills are stored as typed ("React JS"), so match loosely on separators
+  return tagNames.map(name => [...new Set([name, ...(aliases.get(name) || [])])].map(spelling => new RegExp(
+    `^${escapeRegex(spelling).replace(/-/g, '[\\s-]*')}$`,
+    'i'
+  )));
+};
+
+// Number of the thread's tags covered by a user's skills, computed in the
+// database so candidates can be cut by skill match rather than reputation
+const matchedTagCount = (spellings) => ({
+  $add: spellings.map(patterns => ({
+    $cond: [{
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$skills', []] },
+          as: 'skill',
+          in: { $or: patterns.map(regex => ({ $regexMatch: { input: '$$skill', regex } })) },
+        },
+      }],
+    }, 1, 0],
+  })),
+});
+
+// Score active freelancers for a thread, best first
+const recommendFreelancers = async (thread, { limit = 10 } = {}) => {
+  const match = {
+    role: 'freelancer',
+    isActive: true,
+    _id: { $ne: thread.createdBy },
+  };
+  const pipeline = [{ $match: match }];
+
+  if (thread.tags.length > 0) {
+    const spellings = await tagSpellings(thread.tags);
+    match.skills = { $in: spellings.flat() };
+    pipeline.push(
+      { $addFields: { matchedTagCount: matchedTagCount(spellings) } },
+      { $sort: { matchedTagCount: -1, reputation: -1, _id: 1 } }
+    );
+  } else {
+    pipeline.push({ $sort: { reputation: -1, _id: 1 } });
+  }
+
+  pipeline.push(
+    { $limit: matchingConfig.candidateLimit },
+    { $project: { username: 1, name: 1, image: 1, bio: 1, skills: 1, reputation: 1, rating: 1, lastLogin: 1 } }
+  );
+
+  const candidates = await User.aggregate(pipeline);
+
+  if (candidates.length === 0) return [];
+
+  // lastLogin only feeds the activity score and is not returned
+  const freelancers = candidates.map(({ lastLogin, ...freelancer }) => freelancer);
+  const ids = freelancers.map(f => f._id);
+  const [experience, activity, applied] = await Promise.all([
+    completedInCategory(ids, thread.category),
+    lastActivity(candidates),
+    Proposal.find({ thread: thread._id, freelancer: { $in: ids } }).distinct('freelancer'),
+  ]);
+
+  const skillMap = await mapTags(freelancers.flatMap(f => f.skills));
+
+  const scored = freelancers.map((freelancer) => {
+    const skillTags = freelancer.skills.map(skill => skillMap.get(skill)).filter(Boolean);
+    const id = freelancer._id.toString();
+
+    const match = combine({
+      skills: skillScore(skillTags, thread.tags),
+      reputation: reputationScore(freelancer.reputation),
+      rating: ratingScore(freelancer.rating),
+      experience: experienceScore(experience.get(id) || 0),
+      activity: activityScore(activity.get(id)),
+    });
+
+    return {
+      freelancer,
+      ...match,
+      matchedSkills: thread.tags.filter(tag => skillTags.includes(tag)),
+      hasApplied: applied.some(appliedId => appliedId.equals(freelancer._id)),
+    };
+  });
+
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Score open jobs the freelancer has not bid on yet, best first
+const recommendThreads = async (freelancer, { limit = 10 } = {}) => {
+  const skillTags = await resolveTags(freelancer.skills, { create: false });
+  if (skillTags.length === 0) return [];
+
+  const since = new Date(Date.now() - matchingConfig.threadWindowDays * DAY);
+  const applied = await Proposal.find({ freelancer: freelancer._id }).distinct('thread');
+
+  const threads = await Thread.find({
+    tags: { $in: skillTags },
+    status: 'open',
+    hiredFreelancer: null,
+    isHidden: { $ne: true },
+    createdBy: { $ne: freelancer._id },
+    _id: { $nin: applied },
+    createdAt: { $gte: since },
+  })
+    .select('-votedBy')
+    .populate('createdBy', 'username name image role rating')
+    .populate('category', 'name color icon')
+    .sort({ createdAt: -1 })
+    .limit(matchingConfig.candidateLimit);
+
+  const completed = await Contract.aggregate([
+    { $match: { freelancer: freelancer._id, status: 'completed' } },
+    { $lookup: { from: 'threads', localField: 'thread', foreignField: '_id', as: 'thread' } },
+    { $unwind: '$thread' },
+    { $group: { _id: '$thread.category', count: { $sum: 1 } } },
+  ]);
+
+  return threads
+    .map((thread) => {
+      const categoryId = thread.category ? thread.category._id : null;
+      const inCategory = completed.find(c => categoryId && c._id.equals(categoryId));
+
+      const components = {
+        skills: skillScore(skillTags, thread.tags),
+        experience: experienceScore(inCategory ? inCategory.count : 0),
+        freshness: Math.max(1 - (Date.now() - thread.createdAt) / (matchingConfig.threadWindowDays * DAY), 0),
+      };
+      const score = matchingConfig.weights.skills * components.skills +
+        matchingConfig.weights.experience * components.experience +
+        matchingConfig.weights.activity * components.freshness;
+
+      return {
+        thread,
+        score: round(score),
+        breakdown: Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value)])),
+        matchedSkills: thread.tags.filter(tag => skillTags.includes(tag)),
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  recommendFreelancers,
+  recommendThreads,
+};
@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const { createNotifications } = require('./notificationService');
+const { extractMentions } = require('./helpers');
+
+// Most users a single comment or thread can mention
+const MAX_MENTIONS = 20;
+
+// Resolve the @usernames in a text to the IDs of active users, leaving out
+// the author
+const resolveMentions = async (text, authorId) => {
+  const usernames = extractMentions(text || '').slice(0, MAX_MENTIONS);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: usernames },
+    _id: { $ne: authorId },
+    isActive: true,
+  }).select('_id');
+
+  return users.map(user => user._id);
+};
+
+// Notify users mentioned in `mentions` who were not already in `previous`
+// and have mention notifications turned on. Returns the IDs notified.
+const notifyMentions = async (mentions, previous, notification) => {
+  const added = mentions.filter(id => !previous.some(prev => prev.toString() === id.toString()));
+  if (added.length === 0) return [];
+
+  const recipients = await User.find({
+    _id: { $in: added },
+    isActive: true,
+    'notificationPrefs.mentions': { $ne: false },
+  }).select('_id');
+
+  await createNotifications(recipients.map(recipient => ({
+    ...notification,
+    userId: recipient._id,
+  })));
+
+  return recipients.map(recipient => recipient._id.toString());
+};
+
+module.exports = {
+  resolveMentions,
+  notifyMentions,
+};
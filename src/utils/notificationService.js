@@ -0,0 +1,163 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const {
+  queueEmails,
+  buildNotificationEmail,
+  queueNotificationEmail,
+  notificationPrefFor,
+} = require('./emailService');
+
+// Socket.io server, registered once at startup by server.js
+let io = null;
+
+const setIO = (instance) => {
+  io = instance;
+};
+
+const getUnreadCount = (userId) => {
+  return Notification.countDocuments({ userId, read: false });
+};
+
+const populateForPush = (query) => {
+  return query
+    .populate('data.threadId', 'title slug')
+    .populate('data.commentId', 'body threadId')
+    .populate('data.fromUserId', 'username name image');
+};
+
+// Push a saved notification to its recipient's personal room
+const pushNotification = async (notification) => {
+  if (!io) return;
+
+  const populated = await populateForPush(Notification.findById(notification._id));
+
+  if (!populated) return;
+
+  io.to(`user-${populated.userId}`).emit('notification', {
+    type: populated.type,
+    notification: populated,
+    unreadCount: await getUnreadCount(populated.userId),
+  });
+};
+
+// Tell a user's clients their unread count changed without a new notification
+const pushUnreadCount = async (userId) => {
+  if (!io) return;
+
+  io.to(`user-${userId}`).emit('notification-count', {
+    unreadCount: await getUnreadCount(userId),
+  });
+};
+
+// Queue the email copy of a notification for types that have one
+const queueEmailFor = async (notification) => {
+  if (!notificationPrefFor[notification.type]) return;
+
+  const user = await User.findById(notification.userId);
+  if (!user) return;
+
+  const { fromUserId, threadId } = notification.data || {};
+  const sender = fromUserId ? await User.findById(fromUserId) : null;
+  const thread = threadId ? await Thread.findById(threadId) : null;
+
+  await queueNotificationEmail(user, notification, {
+    sender,
+    thread,
+    commenter: sender,
+  });
+};
+
+// Queue the email copies of many notifications using one lookup per
+// collection rather than one per recipient
+const queueNotificationEmails = async (notifications) => {
+  const unique = ids => [...new Set(ids.filter(Boolean).map(String))];
+  const byId = docs => new Map(docs.map(doc => [doc._id.toString(), doc]));
+  const dataIds = key => unique(notifications.map(n => n.data && n.data[key]));
+
+  const users = byId(await User.find({ _id: { $in: unique(notifications.map(n => n.userId)) } })
+    .select('email name notificationPrefs'));
+  const senders = byId(await User.find({ _id: { $in: dataIds('fromUserId') } }).select('name'));
+  const threads = byId(await Thread.find({ _id: { $in: dataIds('threadId') } }).select('title'));
+
+  const emails = notifications.map((notification) => {
+    const user = users.get(notification.userId.toString());
+    if (!user) return null;
+
+    const { fromUserId, threadId } = notification.data || {};
+    const sender = fromUserId ? senders.get(fromUserId.toString()) : null;
+    const thread = threadId ? threads.get(threadId.toString()) : null;
+
+    return buildNotificationEmail(user, notification, {
+      sender,
+      thread,
+      commenter: sender,
+    });
+  }).filter(Boolean);
+
+  await queueEmails(emails);
+};
+
+// Create a notification, push it live and queue its email
+const createNotification = async (payload) => {
+  const notification = await Notification.create(payload);
+  await pushNotification(notification);
+
+  // The notification is already saved, so a failed email must not fail the
+  // request that triggered it
+  try {
+    await queueEmailFor(notification);
+  } catch (error) {
+    console.error('Notification email error:', error.message);
+  }
+
+  return notification;
+};
+
+// Create notifications for many recipients with one insert, then push them
+// and queue their emails
+const createNotifications = async (payloads) => {
+  if (payloads.length === 0) return [];
+
+  const notifications = await Notification.insertMany(payloads);
+  const recipientIds = notifications.map(n => n.userId);
+
+  if (io) {
+    const populated = await populateForPush(Notification.find({
+      _id: { $in: notifications.map(n => n._id) },
+    }));
+    const unreadCounts = await Notification.aggregate([
+      { $match: { userId: { $in: recipientIds }, read: false } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } },
+    ]);
+
+    const unreadByUser = new Map(unreadCounts.map(c => [c._id.toString(), c.count]));
+
+    for (const notification of populated) {
+      io.to(`user-${notification.userId}`).emit('notification', {
+        type: notification.type,
+        notification,
+        unreadCount: unreadByUser.get(notification.userId.toString()) || 0,
+      });
+    }
+  }
+
+  const emailed = notifications.filter(n => notificationPrefFor[n.type]);
+  if (emailed.length > 0) {
+    try {
+      await queueNotificationEmails(emailed);
+    } catch (error) {
+      console.error('Notification email error:', error.message);
+    }
+  }
+
+  return notifications;
+};
+
+module.exports = {
+  setIO,
+  pushNotification,
+  pushUnreadCount,
+  createNotification,
+  createNotifications,
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const paginationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Turn a sort string ('-isPinned -createdAt') or object ({ createdAt: -1 })
+// into [field, direction] pairs, always ending with _id as a tie-breaker
+const parseSort = (sort) => {
+  const fields = typeof sort === 'string'
+    ? sort.split(/\s+/).filter(Boolean).map(field => (
+      field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+    ))
+    : Object.entries(sort).map(([field, direction]) => [field, direction === -1 || direction === 'desc' ? -1 : 1]);
+
+  if (!fields.some(([field]) => field === '_id')) {
+    fields.push(['_id', fields.length > 0 ? fields[fields.length - 1][1] : -1]);
+  }
+
+  return fields;
+};
+
+const sortKey = (fields) => fields.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(' ');
+
+const getValue = (doc, field) => {
+  if (typeof doc.get === 'function') return doc.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+};
+
+// Opaque cursor holding the sort values of a row. The sort key is included
+// so a cursor cannot be replayed against a different ordering.
+const encodeCursor = (doc, fields) => {
+  const values = fields.map(([field]) => getValue(doc, field) ?? null);
+  return Buffer.from(EJSON.stringify({ s: sortKey(fields), v: values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, fields) => {
+  try {
+    const decoded = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.s === sortKey(fields) && Array.isArray(decoded.v) && decoded.v.length === fields.length) {
+      return decoded.v;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw paginationError('Invalid or expired cursor');
+};
+
+// Condition selecting rows strictly after (or before) the cursor position:
+// (a > x) OR (a = x AND b > y) OR ...
+const cursorCondition = (fields, values, backwards) => {
+  const clauses = fields.map(([field, direction], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[fields[j][0]] = values[j];
+    }
+
+    const ascending = backwards ? direction === -1 : direction === 1;
+    clause[field] = { [ascending ? '$gt' : '$lt']: values[i] };
+    return clause;
+  });
+
+  return { $or: clauses };
+};
+
+// Paginate a find query by cursor (?after= / ?before=) or, as a fallback, by
+// page number. The query should already have its filters and populates.
+const paginate = async (query, reqQuery, { sort, defaultLimit = 10 }) => {
+  const limit = parseInt(reqQuery.limit, 10) || defaultLimit;
+  const fields = parseSort(sort);
+  const cursor = reqQuery.after || reqQuery.before;
+  const backwards = !reqQuery.after && Boolean(reqQuery.before);
+
+  const pagination = {
+    page: null,
+    limit,
+    total: null,
+    pages: null,
+    hasNext: false,
+    hasPrev: false,
+    nextCursor: null,
+    prevCursor: null,
+  };
+
+  let results;
+
+  if (cursor) {
+    const values = decodeCursor(cursor, fields);
+    const sortSpec = Object.fromEntries(fields.map(([field, direction]) => [field, backwards ? -direction : direction]));
+
+    results = await query
+      .and([cursorCondition(fields, values, backwards)])
+      .sort(sortSpec)
+      .limit(limit + 1);
+
+    const hasMore = results.length > limit;
+    results = results.slice(0, limit);
+
+    if (backwards) {
+      results.reverse();
+      pagination.hasPrev = hasMore;
+      pagination.hasNext = true;
+    } else {
+      pagination.hasNext = hasMore;
+      pagination.hasPrev = true;
+    }
+  } else {
+    const page = parseInt(reqQuery.page, 10) || 1;
+    const total = await query.model.countDocuments(query.getQuery());
+
+    results = await query
+      .sort(Object.fromEntries(fields))
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    pagination.page = page;
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / limit);
+    pagination.hasNext = page < pagination.pages;
+    pagination.hasPrev = page > 1;
+  }
+
+  if (results.length > 0) {
+    if (pagination.hasNext) pagination.nextCursor = encodeCursor(results[results.length - 1], fields);
+    if (pagination.hasPrev) pagination.prevCursor = encodeCursor(results[0], fields);
+  }
+
+  return { results, pagination };
+};
+
+module.exports = {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
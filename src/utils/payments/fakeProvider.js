@@ -0,0 +1,45 @@
+const { generateRandomString } = require('../helpers');
+
+// In-memory payment provider for local development and tests. Every call
+// succeeds immediately and is remembered so refunds can be checked against
+// the original charge.
+const charges = new Map();
+
+const charge = async ({ amount, currency, userId, description }) => {
+  const id = `fake_ch_${generateRandomString(16)}`;
+
+  charges.set(id, {
+    id,
+    amount,
+    currency,
+    userId: userId ? userId.toString() : null,
+    description,
+    refunded: 0,
+  });
+
+  return { id, status: 'succeeded' };
+};
+
+const refund = async ({ chargeId, amount }) => {
+  const original = charges.get(chargeId);
+
+  if (original) {
+    if (original.refunded + amount > original.amount) {
+      throw new Error('Refund exceeds original charge');
+    }
+    original.refunded += amount;
+  }
+
+  return { id: `fake_re_${generateRandomString(16)}`, status: 'succeeded' };
+};
+
+const payout = async () => {
+  return { id: `fake_po_${generateRandomString(16)}`, status: 'succeeded' };
+};
+
+module.exports = {
+  name: 'fake',
+  charge,
+  refund,
+  payout,
+};
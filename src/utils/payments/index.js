@@ -0,0 +1,32 @@
+const fakeProvider = require('./fakeProvider');
+
+// Registered payment providers. A provider exposes:
+//   name                                        - identifier stored on ledger transactions
+//   charge({ amount, currency, userId, description }) -> { id, status }
+//   refund({ chargeId, amount, currency })      -> { id, status }
+//   payout({ amount, currency, userId })        -> { id, status }
+const providers = {
+  fake: fakeProvider,
+};
+
+// Register an additional provider at startup
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// Get the provider selected by PAYMENT_PROVIDER (defaults to the fake one)
+const getProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'fake';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+};
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ReputationEvent = require('../models/ReputationEvent');
+const { rules, voteEventTypes, dailyVoteCap } = require('../config/reputation');
+
+const startOfDay = () => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Points from votes the user has already gained today
+const votePointsToday = async (userId) => {
+  const [result] = await ReputationEvent.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        type: { $in: voteEventTypes },
+        reversed: false,
+        createdAt: { $gte: startOfDay() },
+      },
+    },
+    { $group: { _id: null, total: { $sum: '$points' } } },
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// Record a reputation event and apply its points to the user
+const award = async ({ user, type, actor, thread, comment, contract }) => {
+  if (!(type in rules)) {
+    throw new Error(`Unknown reputation event "${type}"`);
+  }
+
+  // No reputation for acting on your own content
+  if (actor && user.toString() === actor.toString()) return null;
+
+  let points = rules[type];
+  let capped = false;
+
+  if (voteEventTypes.includes(type) && points > 0) {
+    const remaining = Math.max(dailyVoteCap - await votePointsToday(user), 0);
+    if (points > remaining) {
+      points = remaining;
+      capped = true;
+    }
+  }
+
+  const event = await ReputationEvent.create({
+    user,
+    type,
+    points,
+    capped,
+    actor,
+    thread,
+    comment,
+    contract,
+  });
+
+  if (points !== 0) {
+    await User.findByIdAndUpdate(user, { $inc: { reputation: points } });
+  }
+
+  return event;
+};
+
+// Undo the latest matching event, e.g. when a vote is retracted
+const reverse = async ({ user, type, actor, thread, comment, contract }) => {
+  const query = { user, type, reversed: false };
+  if (actor) query.actor = actor;
+  if (thread) query.thread = thread;
+  if (comment) query.comment = comment;
+  if (contract) query.contract = contract;
+
+  const event = await ReputationEvent.findOne(query).sort({ createdAt: -1 });
+  if (!event) return null;
+
+  event.reversed = true;
+  event.reversedAt = Date.now();
+  await event.save();
+
+  if (event.points !== 0) {
+    await User.findByIdAndUpdate(user, { $inc: { reputation: -event.points } });
+  }
+
+  return event;
+};
+
+// Apply the reputation side effects of a vote change. `previous` and `next`
+// are the voter's old and new vote types ('up', 'down' or null).
+const applyVote = async ({ target, user, actor, previous, next, thread, comment }) => {
+  if (previous === next) return;
+
+  if (previous) {
+    await reverse({ user, type: `${target}_${previous}vote`, actor, thread, comment });
+  }
+
+  if (next) {
+    await award({ user, type: `${target}_${next}vote`, actor, thread, comment });
+  }
+};
+
+// Rebuild stored reputation from the event log. Recomputes every user when
+// no ID is given.
+const recompute = async (userId) => {
+  const match = { reversed: false };
+  if (userId) {
+    match.user = new mongoose.Types.ObjectId(userId.toString());
+  }
+
+  const totals = await ReputationEvent.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', reputation: { $sum: '$points' } } },
+  ]);
+
+  // Set every total in one bulk write, and zero users whose events were all
+  // reversed, so no one shows 0 while this runs or if it stops part way
+  const withEvents = totals.map(total => total._id);
+  const operations = totals.map(total => ({
+    updateOne: {
+      filter: { _id: total._id },
+      update: { $set: { reputation: total.reputation } },
+    },
+  }));
+
+  operations.push({
+    updateMany: {
+      filter: {
+        _id: userId ? { $eq: match.user, $nin: withEvents } : { $nin: withEvents },
+        reputation: { $ne: 0 },
+      },
+      update: { $set: { reputation: 0 } },
+    },
+  });
+
+  await User.bulkWrite(operations, { ordered: false });
+
+  return totals.length;
+};
+
+module.exports = {
+  award,
+  reverse,
+  applyVote,
+  recompute,
+};
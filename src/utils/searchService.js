@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { escapeRegex } = require('./helpers');
+const validator = require('validator');
+
+const SNIPPET_LENGTH = 200;
+const FACET_LIMIT = 20;
+
+const textScore = { score: { $meta: 'textScore' } };
+
+// Words from the search string, without operators, for highlighting
+const parseTerms = (search) => {
+  return [...new Set(
+    search
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.toLowerCase())
+  )];
+};
+
+const termPattern = (terms) => {
+  if (terms.length === 0) return null;
+  return new RegExp(`\\b(${terms.map(escapeRegex).join('|')})`, 'gi');
+};
+
+// HTML-escape text and wrap matching terms in <mark>
+const highlight = (text, terms) => {
+  const pattern = termPattern(terms);
+  if (!pattern) return validator.escape(text);
+
+  return text
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${validator.escape(part)}</mark>` : validator.escape(part)))
+    .join('');
+};
+
+// A highlighted window of the text around the first match
+const buildSnippet = (text, terms) => {
+  if (!text) return '';
+
+  const pattern = termPattern(terms);
+  const match = pattern ? pattern.exec(text) : null;
+  const matchIndex = match ? match.index : 0;
+
+  let start = Math.max(0, matchIndex - Math.floor(SNIPPET_LENGTH / 4));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const snippet = highlight(text.slice(start, end), terms);
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// Category/status/tag filters shared by thread and comment search
+const threadFilters = ({ category, status, tag }) => {
+  const filters = {};
+
+  if (category) filters.category = new mongoose.Types.ObjectId(category);
+  if (status) filters.status = status;
+  if (tag) filters.tags = tag;
+
+  return filters;
+};
+
+const searchThreads = async (search, options) => {
+  const terms = parseTerms(search);
+  const query = {
+    $text: { $search: search },
+    isHidden: { $ne: true },
+    ...threadFilters(options),
+  };
+
+  const threads = await Thread.find(query, textScore)
+    .select('-votedBy')
+    .populate('createdBy', 'username name image role reputation')
+    .populate('category', 'name color icon')
+    .sort(textScore)
+    .limit(options.limit)
+    .skip(options.skip)
+    .lean();
+
+  const total = await Thread.countDocuments(query);
+
+  return {
+    total,
+    results: threads.map(thread => ({
+      ...thread,
+      highlights: {
+        title: highlight(thread.title, terms),
+        description: buildSnippet(thread.description, terms),
+      },
+    })),
+  };
+};
+
+const searchComments = async (search, options) => {
+  const terms = parseTerms(search);
+  const query = {
+    $text: { $search: search },
+    isHidden: { $ne: true },
+  };
+
+  // Only comments on visible threads that match the thread filters
+  const filters = threadFilters(options);
+  if (Object.keys(filters).length > 0) {
+    query.threadId = {
+      $in: await Thread.find({ ...filters, isHidden: { $ne: true } }).distinct('_id'),
+    };
+  } else {
+    query.threadId = { $nin: await Thread.find({ isHidden: true }).distinct('_id') };
+  }
+
+  const comments = await Comment.find(query, textScore)
+    .select('-votedBy')
+    .populate('userId', 'username name image role reputation')
+    .populate('threadId', 'title slug category status')
+    .sort(textScore)
+    .limit(options.limit)
+    .skip(options.skip)
+    .lean();
+
+  const total = await Comment.countDocuments(query);
+
+  return {
+    total,
+    results: comments.map(comment => ({
+      ...comment,
+      highlights: {
+        body: buildSnippet(comment.body, terms),
+      },
+    })),
+  };
+};
+
+const searchUsers = async (search, options) => {
+  const terms = parseTerms(search);
+  const query = {
+    $text: { $search: search },
+    isActive: true,
+  };
+
+  const users = await User.find(query, textScore)
+    .select('username name image role bio skills reputation rating')
+    .sort(textScore)
+    .limit(options.limit)
+    .skip(options.skip)
+    .lean();
+
+  const total = await User.countDocuments(query);
+
+  return {
+    total,
+    results: users.map(user => ({
+      ...user,
+      highlights: {
+        name: highlight(user.name, terms),
+        bio: buildSnippet(user.bio, terms),
+        skills: (user.skills || []).map(skill => highlight(skill, terms)),
+      },
+    })),
+  };
+};
+
+// Counts of matching threads by category, status and tag. Facets ignore the
+// selected filters so clients can show the alternatives.
+const threadFacets = async (search) => {
+  const [facets] = await Thread.aggregate([
+    { $match: { $text: { $search: search }, isHidden: { $ne: true } } },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT },
+        ],
+        statuses: [
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+        ],
+      },
+    },
+  ]);
+
+  const categories = await Category.find({ _id: { $in: facets.categories.map(c => c._id) } })
+    .select('name slug color');
+
+  return {
+    categories: facets.categories.map(facet => {
+      const category = categories.find(c => c._id.equals(facet._id));
+      return {
+        _id: facet._id,
+        name: category ? category.name : null,
+        slug: category ? category.slug : null,
+        count: facet.count,
+      };
+    }),
+    statuses: facets.statuses.map(facet => ({ status: facet._id, count: facet.count })),
+    tags: facets.tags.map(facet => ({ tag: facet._id, count: facet.count })),
+  };
+};
+
+module.exports = {
+  parseTerms,
+  highlight,
+  buildSnippet,
+  searchThreads,
+  searchComments,
+  searchUsers,
+  threadFacets,
+};
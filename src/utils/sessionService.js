@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('../config/jwt');
+
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Rough device label from the user agent, for the sessions list
+const describeDevice = (userAgent = '') => {
+  const os = [
+    [/iPhone|iPad|iPod/i, 'iOS'],
+    [/Android/i, 'Android'],
+    [/Windows/i, 'Windows'],
+    [/Mac OS X|Macintosh/i, 'macOS'],
+    [/Linux/i, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  const browser = [
+    [/Edg\//i, 'Edge'],
+    [/Chrome\//i, 'Chrome'],
+    [/Firefox\//i, 'Firefox'],
+    [/Safari\//i, 'Safari'],
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!os && !browser) return 'Unknown device';
+
+  return [browser && browser[1], os && os[1]].filter(Boolean).join(' on ');
+};
+
+// Refresh tokens carry their session ID so lookups need no scan
+const buildRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+// Start a session for a successful login and issue its tokens
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: req.headers['user-agent'],
+    device: describeDevice(req.headers['user-agent']),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000),
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting an
+// already rotated token revokes the session, since it means the token leaked.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId)
+    .select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      session.revokedAt = Date.now();
+      await session.save();
+    }
+    return null;
+  }
+
+  const nextRefreshToken = buildRefreshToken(session._id);
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = Date.now();
+  session.ip = req.ip;
+  await session.save();
+
+  return {
+    session,
+    token: generateToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+// Check an access token's session is still live
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+
+  const session = await Session.findById(sessionId);
+  return !!session && session.user.toString() === userId.toString() && session.isActive();
+};
+
+// Disconnect any sockets opened under revoked sessions
+const disconnectSockets = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach((id) => {
+    io.in(`session-${id}`).disconnectSockets(true);
+  });
+};
+
+const revokeSession = async (sessionId, io) => {
+  await Session.findByIdAndUpdate(sessionId, { revokedAt: Date.now() });
+  disconnectSockets(io, [sessionId]);
+};
+
+// Revoke every live session of a user, optionally keeping one
+const revokeUserSessions = async (userId, exceptSessionId, io) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { revokedAt: Date.now() }
+  );
+  disconnectSockets(io, sessions.map(s => s._id));
+
+  return sessions.length;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+};
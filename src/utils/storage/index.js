@@ -0,0 +1,32 @@
+const localDriver = require('./localDriver');
+
+// Registered storage drivers. A driver exposes:
+//   name                      - identifier stored on each file record
+//   save(key, buffer)         -> Promise
+//   createReadStream(key)     -> Readable stream
+//   remove(key)               -> Promise
+const drivers = {
+  local: localDriver,
+};
+
+// Register an additional driver at startup
+const registerDriver = (driver) => {
+  drivers[driver.name] = driver;
+};
+
+// Get a driver by name, or the one selected by STORAGE_DRIVER
+const getDriver = (name) => {
+  const driverName = name || process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${driverName}"`);
+  }
+
+  return driver;
+};
+
+module.exports = {
+  registerDriver,
+  getDriver,
+};
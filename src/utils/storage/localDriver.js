@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on local disk. Keep UPLOAD_DIR outside any statically served
+// directory so downloads always go through the access-controlled route.
+const rootDir = () => path.resolve(process.env.UPLOAD_DIR || 'storage/uploads');
+
+// Keys are generated by the upload service, but never allow them to escape
+// the upload directory
+const resolveKey = (key) => {
+  const filePath = path.resolve(rootDir(), key);
+
+  if (!filePath.startsWith(rootDir() + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+const createReadStream = (key) => {
+  return fs.createReadStream(resolveKey(key));
+};
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  createReadStream,
+  remove,
+};
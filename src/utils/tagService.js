@@ -0,0 +1,228 @@
+const Tag = require('../models/Tag');
+const Thread = require('../models/Thread');
+const User = require('../models/User');
+const Endorsement = require('../models/Endorsement');
+const { createNotifications } = require('./notificationService');
+
+const tagError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Map raw tag names to canonical tag names, following aliases. Unknown tags
+// are created unless `create` is false, in which case their normalised form
+// is returned as-is.
+const resolveTags = async (names, { create = true } = {}) => {
+  const normalized = [...new Set([].concat(names || []).map(name => Tag.normalize(name)).filter(Boolean))];
+  if (normalized.length === 0) return [];
+
+  const tags = await Tag.find({
+    $or: [
+      { name: { $in: normalized } },
+      { aliases: { $in: normalized } },
+    ],
+  });
+
+  const resolved = [];
+
+  for (const name of normalized) {
+    const tag = tags.find(t => t.name === name) || tags.find(t => t.aliases.includes(name));
+
+    if (tag) {
+      resolved.push(tag.name);
+    } else if (create) {
+      const created = await Tag.findOneAndUpdate(
+        { name },
+        { $setOnInsert: { name } },
+        { new: true, upsert: true }
+      );
+      resolved.push(created.name);
+    } else {
+      resolved.push(name);
+    }
+  }
+
+  return [...new Set(resolved)];
+};
+
+// Map raw names to canonical tag names without creating anything. Returns a
+// Map keyed by the raw name; unknown names map to their normalised form.
+const mapTags = async (names) => {
+  const raw = [...new Set([].concat(names || []))];
+  const normalized = raw.map(name => Tag.normalize(name));
+
+  const tags = await Tag.find({
+    $or: [
+      { name: { $in: normalized } },
+      { aliases: { $in: normalized } },
+    ],
+  });
+
+  return new Map(raw.map((name, i) => {
+    const tag = tags.find(t => t.name === normalized[i]) || tags.find(t => t.aliases.includes(normalized[i]));
+    return [name, tag ? tag.name : normalized[i]];
+  }));
+};
+
+// Keep usage counts in step with a thread's tags changing from `previous`
+// to `next`
+const updateUsage = async (previous = [], next = []) => {
+  const added = next.filter(name => !previous.includes(name));
+  const removed = previous.filter(name => !next.includes(name));
+
+  if (added.length > 0) {
+    await Tag.updateMany({ name: { $in: added } }, { $inc: { usageCount: 1 } });
+  }
+
+  if (removed.length > 0) {
+    await Tag.updateMany({ name: { $in: removed }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+  }
+};
+
+// Tell followers of the thread's tags about a new thread
+const notifyFollowers = async (thread, author) => {
+  if (!thread.tags || thread.tags.length === 0) return 0;
+
+  const tags = await Tag.find({ name: { $in: thread.tags } });
+  if (tags.length === 0) return 0;
+
+  const followers = await User.find({
+    tagsFollowed: { $in: tags.map(t => t._id) },
+    _id: { $ne: author._id || author.id },
+    isActive: true,
+  }).select('tagsFollowed');
+
+  await createNotifications(followers.map((follower) => {
+    const matching = tags
+      .filter(tag => follower.tagsFollowed.some(id => id.equals(tag._id)))
+      .map(tag => tag.name);
+
+    return {
+      userId: follower._id,
+      type: 'tag_thread',
+      title: 'New thread in a tag you follow',
+      message: `${author.name} posted "${thread.title}" tagged ${matching.join(', ')}`,
+      data: {
+        threadId: thread._id,
+        fromUserId: author._id || author.id,
+        actionUrl: `/threads/${thread._id}`,
+      },
+    };
+  }));
+
+  return followers.length;
+};
+
+// Replace a tag's aliases, refusing spellings that already belong to
+// another tag
+const setAliases = async (tag, aliases) => {
+  const normalized = [...new Set(aliases.map(alias => Tag.normalize(alias)).filter(Boolean))]
+    .filter(alias => alias !== tag.name);
+
+  const conflict = await Tag.findOne({
+    _id: { $ne: tag._id },
+    $or: [
+      { name: { $in: normalized } },
+      { aliases: { $in: normalized } },
+    ],
+  });
+
+  if (conflict) {
+    throw tagError(`"${conflict.name}" already uses one of these names; merge the tags instead`);
+  }
+
+  tag.aliases = normalized;
+  return tag;
+};
+
+// Fold `source` into `target`: retag threads, move followers and keep the
+// source's spellings as aliases of the target
+const mergeTags = async (source, target) => {
+  if (source._id.equals(target._id)) {
+    throw tagError('A tag cannot be merged into itself');
+  }
+
+  await Thread.updateMany({ tags: source.name }, { $addToSet: { tags: target.name } });
+  await Thread.updateMany({ tags: source.name }, { $pull: { tags: source.name } });
+
+  await User.updateMany({ tagsFollowed: source._id }, { $addToSet: { tagsFollowed: target._id } });
+  await User.updateMany({ tagsFollowed: source._id }, { $pull: { tagsFollowed: source._id } });
+
+  // Move skill endorsements over, dropping any the endorser had already
+  // given for the target
+  const endorsements = await Endorsement.find({ skill: source.name });
+  for (const endorsement of endorsements) {
+    const duplicate = await Endorsement.exists({
+      endorser: endorsement.endorser,
+      endorsee: endorsement.endorsee,
+      skill: target.name,
+    });
+
+    if (duplicate) {
+      await endorsement.deleteOne();
+    } else {
+      endorsement.skill = target.name;
+      await endorsement.save();
+    }
+  }
+
+  await source.deleteOne();
+
+  target.aliases = [...new Set([...target.aliases, source.name, ...source.aliases])];
+  target.usageCount = await Thread.countDocuments({ tags: target.name });
+  target.followersCount = await User.countDocuments({ tagsFollowed: target._id });
+  await target.save();
+
+  // Listed skills now resolve to the target through its aliases
+  const endorsees = await User.find({ _id: { $in: endorsements.map(e => e.endorsee) } }).select('skills');
+  for (const user of endorsees) {
+    const skillMap = await mapTags(user.skills);
+    await Endorsement.updateUserCounts(user._id, [...new Set(skillMap.values())]);
+  }
+
+  return target;
+};
+
+// Normalise every thread's tags and rebuild usage and follower counts
+const rebuildTags = async () => {
+  const threads = await Thread.find({ 'tags.0': { $exists: true } }).select('tags');
+
+  for (const thread of threads) {
+    const tags = await resolveTags(thread.tags);
+    if (tags.join() !== thread.tags.join()) {
+      await Thread.findByIdAndUpdate(thread._id, { tags });
+    }
+  }
+
+  const usage = await Thread.aggregate([
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+  ]);
+  const followers = await User.aggregate([
+    { $unwind: '$tagsFollowed' },
+    { $group: { _id: '$tagsFollowed', count: { $sum: 1 } } },
+  ]);
+
+  const tags = await Tag.find();
+  for (const tag of tags) {
+    const used = usage.find(u => u._id === tag.name);
+    const followed = followers.find(f => f._id.equals(tag._id));
+
+    tag.usageCount = used ? used.count : 0;
+    tag.followersCount = followed ? followed.count : 0;
+    await tag.save();
+  }
+
+  return tags.length;
+};
+
+module.exports = {
+  resolveTags,
+  mapTags,
+  updateUsage,
+  notifyFollowers,
+  setAliases,
+  mergeTags,
+  rebuildTags,
+};
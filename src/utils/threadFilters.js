@@ -0,0 +1,54 @@
+const { resolveTags } = require('./tagService');
+
+// Query list values can be repeated (?status=open&status=closed) or
+// comma-separated (?status=open,closed)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Build Thread.getFilteredThreads filters from validated query params
+const parseThreadFilters = async (query) => {
+  const filters = {
+    category: query.category,
+    status: toList(query.status),
+    priority: toList(query.priority),
+    tags: await resolveTags(toList(query.tags || query.tag), { create: false }),
+    tagMatch: query.tagMatch === 'all' ? 'all' : 'any',
+    search: query.search,
+  };
+
+  if (query.budgetMin !== undefined || query.budgetMax !== undefined || query.currency) {
+    filters.budget = {
+      min: query.budgetMin !== undefined ? parseFloat(query.budgetMin) : undefined,
+      max: query.budgetMax !== undefined ? parseFloat(query.budgetMax) : undefined,
+      currency: query.currency ? query.currency.toUpperCase() : undefined,
+    };
+  }
+
+  if (query.deadlineBefore || query.deadlineAfter) {
+    filters.deadline = {
+      before: query.deadlineBefore ? new Date(query.deadlineBefore) : undefined,
+      after: query.deadlineAfter ? new Date(query.deadlineAfter) : undefined,
+    };
+  }
+
+  if (query.authorRole) {
+    filters.authorRole = query.authorRole;
+  }
+
+  if (query.hired !== undefined) {
+    filters.hired = query.hired === 'true';
+  }
+
+  return filters;
+};
+
+module.exports = {
+  toList,
+  parseThreadFilters,
+};
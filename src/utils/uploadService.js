@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const User = require('../models/User');
+const { getDriver } = require('./storage');
+const { sniffFileType } = require('./fileSniffer');
+const { isValidFileType, isValidFileSize } = require('./validators');
+
+const MB = 1024 * 1024;
+
+// Types accepted for comment and message attachments
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+];
+
+const maxFileSize = () => (parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 10) * MB;
+const maxFiles = () => parseInt(process.env.UPLOAD_MAX_FILES, 10) || 5;
+const userQuota = () => (parseInt(process.env.UPLOAD_QUOTA_MB, 10) || 100) * MB;
+
+const uploadError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Keep only the base name and drop control characters
+const cleanName = (name) => {
+  const base = path.basename(name || 'file').replace(/[\x00-\x1F\x7F]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+};
+
+const getQuota = async (userId) => {
+  const used = await Attachment.usageFor(userId);
+  const limit = userQuota();
+
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    maxFileSize: maxFileSize(),
+    maxFiles: maxFiles(),
+    allowedTypes: ALLOWED_TYPES,
+  };
+};
+
+// Reserve quota with a conditional $inc on the user's running total, so two
+// uploads in parallel cannot both fit into the same remaining space
+const reserveQuota = async (userId, bytes) => {
+  // Accounts from before the running total start from their stored files
+  await User.updateOne(
+    { _id: userId, uploadBytes: { $exists: false } },
+    { $set: { uploadBytes: await Attachment.usageFor(userId) } }
+  );
+
+  const reserved = await User.updateOne(
+    { _id: userId, uploadBytes: { $lte: userQuota() - bytes } },
+    { $inc: { uploadBytes: bytes } }
+  );
+
+  if (reserved.modifiedCount !== 1) {
+    throw uploadError('Upload quota exceeded', 413);
+  }
+};
+
+// Users without a running total yet get it from their stored files on the
+// next upload, so only existing totals are lowered
+const releaseQuota = (userId, bytes) => {
+  return User.updateOne(
+    { _id: userId, uploadBytes: { $exists: true } },
+    { $inc: { uploadBytes: -bytes } }
+  );
+};
+
+// Validate and store multer memory files for a user. Nothing is saved unless
+// every file passes and is stored.
+const storeUploads = async (userId, files) => {
+  if (!files || files.length === 0) {
+    throw uploadError('Please attach at least one file');
+  }
+
+  const checked = files.map((file) => {
+    const type = sniffFileType(file.buffer);
+
+    if (!type || !isValidFileType(type.mimetype, ALLOWED_TYPES)) {
+      throw uploadError(`${cleanName(file.originalname)} is not an allowed file type`);
+    }
+
+    if (!isValidFileSize(file.size, maxFileSize())) {
+      throw uploadError(`${cleanName(file.originalname)} is larger than ${maxFileSize() / MB}MB`);
+    }
+
+    return { file, type };
+  });
+
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  await reserveQuota(userId, total);
+
+  const driver = getDriver();
+  const written = [];
+  const attachments = [];
+
+  try {
+    for (const { file, type } of checked) {
+      const storageKey = `${userId}/${crypto.randomBytes(16).toString('hex')}.${type.extension}`;
+      await driver.save(storageKey, file.buffer);
+      written.push(storageKey);
+
+      attachments.push(await Attachment.create({
+        owner: userId,
+        driver: driver.name,
+        storageKey,
+        originalName: cleanName(file.originalname),
+        mimetype: type.mimetype,
+        size: file.size,
+      }));
+    }
+  } catch (error) {
+    // Undo the part of the batch that was stored and give the quota back
+    try {
+      await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+      for (const storageKey of written) {
+        await driver.remove(storageKey);
+      }
+    } catch (cleanupError) {
+      console.error('Upload cleanup error:', cleanupError.message);
+    }
+    await releaseQuota(userId, total);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Free the uploads claimed for a document that was never saved
+const releaseAttachments = (docId, ids) => {
+  const filter = { 'attachedTo.id': docId };
+  if (ids) filter._id = { $in: ids };
+
+  return Attachment.updateMany(
+    filter,
+    { $unset: { attachedTo: 1 } }
+  );
+};
+
+// Attach a user's unattached uploads to a comment, message or portfolio item
+// and return the subdocuments to embed in it. Save the document with
+// saveWithAttachments so the claim is undone if the save fails.
+const claimAttachments = async (userId, ids, kind, docId, { imagesOnly = false } = {}) => {
+  if (!ids || ids.length === 0) return [];
+
+  const uniqueIds = [...new Set(ids.map(String))];
+  const attachments = await Attachment.find({
+    _id: { $in: uniqueIds },
+    owner: userId,
+    'attachedTo.id': null,
+  }).select('+storageKey');
+
+  if (attachments.length !== uniqueIds.length) {
+    throw uploadError('One or more attachments were not found or are already in use');
+  }
+
+  if (imagesOnly && attachments.some(a => !a.mimetype.startsWith('image/'))) {
+    throw uploadError('Only images can be attached here');
+  }
+
+  // Conditional on the files still being free, so two requests cannot both
+  // claim the same upload
+  const claimed = await Attachment.updateMany(
+    { _id: { $in: attachments.map(a => a._id) }, owner: userId, 'attachedTo.id': null },
+    { attachedTo: { kind, id: docId } }
+  );
+
+  if (claimed.modifiedCount !== attachments.length) {
+    await releaseAttachments(docId, attachments.map(a => a._id));
+    throw uploadError('One or more attachments were not found or are already in use');
+  }
+
+  return attachments.map(attachment => ({
+    fileId: attachment._id,
+    filename: path.basename(attachment.storageKey),
+    originalName: attachment.originalName,
+    size: attachment.size,
+    mimetype: attachment.mimetype,
+  }));
+};
+
+// Save a document whose attachments were just claimed, releasing them again
+// if the save fails. Pass `ids` when the document already had attachments,
+// so only the new ones are released.
+const saveWithAttachments = async (doc, ids) => {
+  try {
+    return await doc.save();
+  } catch (error) {
+    await releaseAttachments(doc._id, ids);
+    throw error;
+  }
+};
+
+const openDownload = async (attachment) => {
+  const stored = await Attachment.findById(attachment._id).select('+storageKey');
+  return getDriver(stored.driver).createReadStream(stored.storageKey);
+};
+
+const removeUpload = async (attachment) => {
+  const stored = await Attachment.findById(attachment._id).select('+storageKey');
+  await getDriver(stored.driver).remove(stored.storageKey);
+  await stored.deleteOne();
+  await releaseQuota(stored.owner, stored.size);
+};
+
+// Delete attachments by ID, e.g. images dropped from a portfolio item
+const removeAttachments = async (ids) => {
+  const attachments = await Attachment.find({ _id: { $in: ids } });
+
+  for (const attachment of attachments) {
+    await removeUpload(attachment);
+  }
+};
+
+// Delete the files attached to deleted comments or messages
+const removeAttachedTo = async (kind, docIds) => {
+  const attachments = await Attachment.find({
+    'attachedTo.kind': kind,
+    'attachedTo.id': { $in: docIds },
+  });
+
+  for (const attachment of attachments) {
+    await removeUpload(attachment);
+  }
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  maxFileSize,
+  maxFiles,
+  getQuota,
+  storeUploads,
+  claimAttachments,
+  releaseAttachments,
+  saveWithAttachments,
+  openDownload,
+  removeUpload,
+  removeAttachments,
+  removeAttachedTo,
+};